@@ -0,0 +1,208 @@
+/**
+ * Client Fingerprint Module
+ * Handles working out which app published an event, from its NIP-89 `client`
+ * tag or, without one, from habits such as `alt` and nonce tags and tag order
+ */
+
+/**
+ * Most tag names used to describe the tag order of an event
+ */
+const MAX_TAG_ORDER_NAMES = 4;
+
+/**
+ * Read an event's NIP-89 `client` tag
+ * @param {Object} event - Nostr event object
+ * @returns {Object|null} `name`, `handler` (the `31990:<pubkey>:<d>` address of
+ *   the app's handler information event, or null) and `relay` (a hint for
+ *   the handler, or null), or null if the event has no client tag
+ */
+function parseClientTag(event) {
+  const tag = event.tags.find(entry => entry[0] === 'client' && entry[1] && entry[1].trim());
+  if (!tag) return null;
+  
+  const handler = /^31990:[0-9a-f]{64}:/.test(tag[2] || '') ? tag[2] : null;
+  
+  return {
+    name: tag[1].trim(),
+    handler,
+    relay: handler && tag[3] ? tag[3] : null
+  };
+}
+
+/**
+ * Describe the publishing habits of an event that has no client tag
+ * Apps differ in whether they add NIP-31 `alt` tags and NIP-13 nonce tags and
+ * in the order they write tags, so events with the same habits likely come
+ * from the same app.
+ * @param {Object} event - Nostr event object
+ * @returns {string[]} Habits such as "alt tag", "nonce tag" or "tags e, p"
+ */
+function getEventHabits(event) {
+  const habits = [];
+  const tagNames = [];
+  
+  event.tags.forEach(tag => {
+    if (tag[0] && !tagNames.includes(tag[0])) {
+      tagNames.push(tag[0]);
+    }
+  });
+  
+  if (tagNames.includes('alt')) habits.push('alt tag');
+  if (tagNames.includes('nonce')) habits.push('nonce tag');
+  
+  // The order of the other tags, which only says something when there are several
+  const orderedNames = tagNames.filter(name => name !== 'alt' && name !== 'nonce');
+  if (orderedNames.length > 1) {
+    const shown = orderedNames.slice(0, MAX_TAG_ORDER_NAMES).join(', ');
+    habits.push(`tags ${shown}${orderedNames.length > MAX_TAG_ORDER_NAMES ? ', …' : ''}`);
+  }
+  
+  return habits;
+}
+
+/**
+ * Work out which client published an event
+ * @param {Object} event - Nostr event object
+ * @returns {Object} `key` (the same for every event of the client), `name`,
+ *   `handler` (see parseClientTag) and `inferred` (true if the client is a
+ *   guess from the event's habits)
+ */
+function getEventClient(event) {
+  const clientTag = parseClientTag(event);
+  
+  if (clientTag) {
+    return {
+      // Apps do not always write their name the same way
+      key: `client:${clientTag.name.toLowerCase()}`,
+      name: clientTag.name,
+      handler: clientTag.handler,
+      inferred: false
+    };
+  }
+  
+  const habits = getEventHabits(event);
+  
+  return {
+    key: `habits:${habits.join('; ')}`,
+    name: habits.length > 0 ? `No client tag (${habits.join('; ')})` : 'No client tag',
+    handler: null,
+    inferred: true
+  };
+}
+
+/**
+ * Check whether a later version of an addressable event is already known
+ * @param {Object} known - Entries with a `created_at`, keyed by address
+ * @param {string} address - The event's address
+ * @param {Object} event - Nostr event object
+ * @returns {boolean} True if the known version is at least as new as the event
+ */
+function hasNewerVersion(known, address, event) {
+  return Boolean(known[address]) && known[address].created_at >= event.created_at;
+}
+
+/**
+ * Get the address of an addressable event
+ * @param {Object} event - Nostr event object
+ * @returns {string} The `<kind>:<pubkey>:<d>` address
+ */
+function getAddressOf(event) {
+  const dTag = event.tags.find(tag => tag[0] === 'd');
+  return `${event.kind}:${event.pubkey}:${dTag ? dTag[1] : ''}`;
+}
+
+/**
+ * Read the app names of the NIP-89 handler information events (kind 31990)
+ * among some events
+ * Only the latest version of each handler counts, so a renamed app shows its
+ * current name whatever order the versions arrive in.
+ * @param {Object[]} events - Array of Nostr events
+ * @param {Object} [handlers] - Handlers read from earlier events, updated in place
+ * @returns {Object} `name` (null if the latest version has none) and
+ *   `created_at` keyed by handler address (`31990:<pubkey>:<d>`)
+ */
+function getHandlerNames(events, handlers = {}) {
+  events.forEach(event => {
+    if (event.kind !== 31990) return;
+    
+    const address = getAddressOf(event);
+    if (hasNewerVersion(handlers, address, event)) return;
+    
+    let name = null;
+    
+    try {
+      const metadata = JSON.parse(event.content);
+      const metadataName = metadata && (metadata.display_name || metadata.name);
+      
+      if (typeof metadataName === 'string' && metadataName.trim()) {
+        name = metadataName.trim();
+      }
+    } catch (error) {
+      // Handlers may leave the content empty and rely on the author's profile
+    }
+    
+    handlers[address] = { name, created_at: event.created_at };
+  });
+  
+  return handlers;
+}
+
+/**
+ * Read the NIP-89 handler recommendations (kind 31989) among some events
+ * Only the latest version of each recommendation counts.
+ * @param {Object[]} events - Array of Nostr events
+ * @param {Object} [recommendations] - Recommendations read from earlier
+ *   events, updated in place
+ * @returns {Object} `kind` (the recommended kind, from the `d` tag),
+ *   `handlers` (the recommended handler addresses) and `created_at`, keyed
+ *   by recommendation address (`31989:<pubkey>:<d>`)
+ */
+function getHandlerRecommendations(events, recommendations = {}) {
+  events.forEach(event => {
+    if (event.kind !== 31989) return;
+    
+    const address = getAddressOf(event);
+    if (hasNewerVersion(recommendations, address, event)) return;
+    
+    const dTag = event.tags.find(tag => tag[0] === 'd');
+    
+    recommendations[address] = {
+      kind: dTag ? parseInt(dTag[1], 10) : NaN,
+      handlers: event.tags
+        .filter(tag => tag[0] === 'a' && /^31990:[0-9a-f]{64}:/.test(tag[1] || ''))
+        .map(tag => tag[1]),
+      created_at: event.created_at
+    };
+  });
+  
+  return recommendations;
+}
+
+/**
+ * Link a client to its NIP-89 handler and name it after the handler
+ * A client tag without a handler address is linked to a handler that a kind
+ * 31989 recommendation points to and whose information event has the same
+ * app name as the tag.
+ * @param {Object} client - Client from getEventClient, updated in place with
+ *   `handler`, `recommended` (true if the handler came from a recommendation)
+ *   and `handlerName`
+ * @param {Object} handlers - Handlers from getHandlerNames
+ * @param {Object} recommendations - Recommendations from getHandlerRecommendations
+ */
+function linkClientHandler(client, handlers, recommendations) {
+  if (!client.inferred && (!client.handler || client.recommended)) {
+    const name = client.name.toLowerCase();
+    const linked = Object.values(recommendations)
+      .flatMap(recommendation => recommendation.handlers)
+      .find(address => {
+        const handler = handlers[address];
+        return handler && handler.name && handler.name.toLowerCase() === name;
+      });
+    
+    client.handler = linked || null;
+    client.recommended = Boolean(linked);
+  }
+  
+  const handler = client.handler ? handlers[client.handler] : null;
+  client.handlerName = handler ? handler.name : null;
+}
@@ -4,24 +4,44 @@
  */
 
 /**
- * Analyze events and group them by kind
- * @param {Object[]} events - Array of Nostr events
- * @returns {Object} Object with events grouped by kind and statistics
+ * Create an empty analysis for addEventsToAnalysis to fill
+ * @returns {Object} Object with empty kind groups, per-kind author and client
+ *   counts, clients, handlers, handler recommendations, authors and statistics
  */
-function analyzeEvents(events) {
-  if (!events || !Array.isArray(events) || events.length === 0) {
-    return {
-      kindGroups: {},
-      stats: {
-        totalEvents: 0,
-        uniqueKinds: 0
-      }
-    };
-  }
+function createEventAnalysis() {
+  return {
+    kindGroups: {},
+    kindAuthorCounts: {},
+    kindClientCounts: {},
+    clients: {},
+    // Latest handler information and recommendation events seen so far, keyed by address
+    handlers: {},
+    handlerRecommendations: {},
+    authors: new Set(),
+    stats: {
+      totalEvents: 0,
+      uniqueKinds: 0,
+      uniqueAuthors: 0,
+      invalidEvents: 0,
+      badIdEvents: 0,
+      badSignatureEvents: 0
+    }
+  };
+}
+
+/**
+ * Add events to an analysis
+ * Only the new events are looked at, so live events can be added to a large
+ * analysis without going over the earlier events again.
+ * @param {Object} analysis - Analysis from createEventAnalysis or analyzeEvents, updated in place
+ * @param {Object[]} events - The events to add, not already in the analysis
+ * @returns {Object} The added events grouped by kind
+ */
+function addEventsToAnalysis(analysis, events) {
+  const { kindGroups, kindAuthorCounts, kindClientCounts, clients, authors, stats } = analysis;
+  const addedGroups = {};
   
   // Group events by kind
-  const kindGroups = {};
-  
   events.forEach(event => {
     const kind = event.kind;
     
@@ -29,24 +49,125 @@ function analyzeEvents(events) {
       kindGroups[kind] = [];
     }
     
+    if (!addedGroups[kind]) {
+      addedGroups[kind] = [];
+    }
+    
     kindGroups[kind].push(event);
+    addedGroups[kind].push(event);
   });
   
-  // Sort events within each group by created_at (newest first)
-  Object.values(kindGroups).forEach(group => {
-    group.sort((a, b) => b.created_at - a.created_at);
+  // Count events per author within each kind
+  events.forEach(event => {
+    if (!kindAuthorCounts[event.kind]) {
+      kindAuthorCounts[event.kind] = {};
+    }
+    
+    const counts = kindAuthorCounts[event.kind];
+    counts[event.pubkey] = (counts[event.pubkey] || 0) + 1;
+    authors.add(event.pubkey);
   });
   
-  // Calculate statistics
-  const stats = {
-    totalEvents: events.length,
-    uniqueKinds: Object.keys(kindGroups).length
-  };
+  getHandlerNames(events, analysis.handlers);
+  getHandlerRecommendations(events, analysis.handlerRecommendations);
   
-  return {
-    kindGroups,
-    stats
-  };
+  // Count events per publishing client within each kind
+  events.forEach(event => {
+    const client = getEventClient(event);
+    
+    if (!clients[client.key]) {
+      clients[client.key] = { ...client, recommended: false, handlerName: null, count: 0 };
+    }
+    clients[client.key].count++;
+    
+    if (!kindClientCounts[event.kind]) {
+      kindClientCounts[event.kind] = {};
+    }
+    
+    const counts = kindClientCounts[event.kind];
+    counts[client.key] = (counts[client.key] || 0) + 1;
+  });
+  
+  // Link the clients to their handlers, including handler and recommendation
+  // events that arrive after the client's first events
+  Object.values(clients).forEach(client => {
+    linkClientHandler(client, analysis.handlers, analysis.handlerRecommendations);
+  });
+  
+  // Sort events within each group that changed by created_at (newest first)
+  Object.keys(addedGroups).forEach(kind => {
+    kindGroups[kind].sort((a, b) => b.created_at - a.created_at);
+  });
+  
+  // Count events that failed id or signature verification
+  events.forEach(event => {
+    const validity = verifyEvent(event);
+    
+    if (validity === EVENT_VALIDITY.BAD_ID) {
+      stats.badIdEvents++;
+    } else if (validity === EVENT_VALIDITY.BAD_SIGNATURE) {
+      stats.badSignatureEvents++;
+    }
+  });
+  
+  // Update statistics
+  stats.totalEvents += events.length;
+  stats.uniqueKinds = Object.keys(kindGroups).length;
+  stats.uniqueAuthors = authors.size;
+  stats.invalidEvents = stats.badIdEvents + stats.badSignatureEvents;
+  
+  return addedGroups;
+}
+
+/**
+ * Analyze events and group them by kind
+ * @param {Object[]} events - Array of Nostr events
+ * @returns {Object} Object with events grouped by kind, per-kind author and
+ *   client counts, the clients seen (keyed like the client counts) and
+ *   statistics; more events can be added with addEventsToAnalysis
+ */
+function analyzeEvents(events) {
+  const analysis = createEventAnalysis();
+  
+  if (events && Array.isArray(events)) {
+    addEventsToAnalysis(analysis, events);
+  }
+  
+  return analysis;
+}
+
+/**
+ * Work out how many of the events each relay holds
+ * @param {Object[]} events - Array of Nostr events
+ * @param {string[]} relays - The relays that were queried
+ * @returns {Object[]} One row per relay with `relay`, `count` (events it returned)
+ *   and `unique` (events no other relay returned)
+ */
+function analyzeRelayCoverage(events, relays) {
+  const coverage = {};
+  
+  relays.forEach(relay => {
+    coverage[relay] = { relay, count: 0, unique: 0 };
+  });
+  
+  events.forEach(event => {
+    const sources = getEventSources(event.id);
+    
+    sources.forEach(relay => {
+      if (!coverage[relay]) {
+        coverage[relay] = { relay, count: 0, unique: 0 };
+      }
+      
+      coverage[relay].count++;
+      
+      if (sources.length === 1) {
+        coverage[relay].unique++;
+      }
+    });
+  });
+  
+  // Relays holding the most events first
+  return Object.values(coverage).sort((a, b) => b.count - a.count);
 }
 
 /**
@@ -74,16 +195,32 @@ function updateStatsDisplay(stats) {
   if (uniqueKindsElement) {
     uniqueKindsElement.textContent = `Unique kinds: ${stats.uniqueKinds}`;
   }
+  
+  const uniqueAuthorsElement = document.getElementById('unique-authors');
+  if (uniqueAuthorsElement) {
+    uniqueAuthorsElement.textContent = `Authors: ${stats.uniqueAuthors}`;
+  }
+  
+  const invalidEventsElement = document.getElementById('invalid-events');
+  if (invalidEventsElement) {
+    invalidEventsElement.textContent = `Invalid events: ${stats.invalidEvents}`;
+    invalidEventsElement.title = `Bad ID: ${stats.badIdEvents}, bad signature: ${stats.badSignatureEvents}`;
+    invalidEventsElement.classList.toggle('has-invalid', stats.invalidEvents > 0);
+  }
 }
 
 /**
  * Populate the kind dropdown with options
+ * The selected kind is kept if it is still listed.
  * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {Object} [matchCounts] - Search match counts keyed by kind, when a search is active
  */
-function populateKindDropdown(kindGroups) {
+function populateKindDropdown(kindGroups, matchCounts = null) {
   const dropdown = document.getElementById('kind-dropdown');
   if (!dropdown) return;
   
+  const selectedKind = dropdown.value;
+  
   // Clear existing options except the "All Kinds" option
   while (dropdown.options.length > 1) {
     dropdown.remove(1);
@@ -92,18 +229,67 @@ function populateKindDropdown(kindGroups) {
   // Get sorted kinds
   const sortedKinds = getSortedKinds(kindGroups);
   
+  // Only mention authors when more than one author was explored
+  const allAuthors = new Set();
+  Object.values(kindGroups).forEach(events => {
+    events.forEach(event => allAuthors.add(event.pubkey));
+  });
+  
   // Add an option for each kind
   sortedKinds.forEach(kind => {
     const option = document.createElement('option');
     option.value = kind;
     
-    // Get the friendly name for this kind
-    const kindName = getKindName(kind);
+    // Get the friendly name and category for this kind
+    const kindInfo = getKindInfo(kind);
     const count = kindGroups[kind].length;
     
-    option.textContent = `${kind} - ${kindName} (${count})`;
+    const countText = matchCounts ? `${matchCounts[kind] || 0} of ${count} match` : count;
+    option.textContent = `${kind} - ${kindInfo.name} [${kindInfo.category}${kindInfo.deprecated ? ', deprecated' : ''}${kindInfo.label ? ', your label' : ''}] (${countText})`;
+    
+    if (kindInfo.nips.length > 0) {
+      option.title = kindInfo.nips.map(nip => `NIP-${nip}`).join(', ');
+    }
+    
+    if (allAuthors.size > 1) {
+      const authorCount = new Set(kindGroups[kind].map(event => event.pubkey)).size;
+      option.textContent += ` - ${authorCount} author${authorCount === 1 ? '' : 's'}`;
+    }
     dropdown.appendChild(option);
   });
+  
+  if (Array.from(dropdown.options).some(option => option.value === selectedKind)) {
+    dropdown.value = selectedKind;
+  }
+}
+
+/**
+ * Populate the client filter with the clients seen
+ * The selected client is kept if it is still among them.
+ * @param {Object} clients - Clients keyed by client key, from analyzeEvents
+ */
+function populateClientFilter(clients) {
+  const filter = document.getElementById('client-filter');
+  if (!filter) return;
+  
+  const selectedClient = filter.value;
+  
+  // Clear existing options except the "All clients" option
+  while (filter.options.length > 1) {
+    filter.remove(1);
+  }
+  
+  // Clients named by a client tag first, then the guesses, each by event count
+  Object.values(clients)
+    .sort((a, b) => a.inferred - b.inferred || b.count - a.count)
+    .forEach(client => {
+      const option = document.createElement('option');
+      option.value = client.key;
+      option.textContent = `${client.name} (${client.count})`;
+      filter.appendChild(option);
+    });
+  
+  filter.value = clients[selectedClient] ? selectedClient : '';
 }
 
 /**
@@ -116,6 +302,20 @@ function formatTimestamp(timestamp) {
   return date.toLocaleString();
 }
 
+/**
+ * Format a public key as a shortened npub
+ * @param {string} pubkey - Public key in hex format
+ * @returns {string} Shortened npub, e.g. npub1abcdef…wxyz
+ */
+function formatPubkey(pubkey) {
+  try {
+    const npub = window.NostrTools.nip19.npubEncode(pubkey);
+    return `${npub.substring(0, 12)}…${npub.substring(npub.length - 4)}`;
+  } catch (error) {
+    return pubkey;
+  }
+}
+
 /**
  * Format an event as a JSON string with proper indentation
  * @param {Object} event - Nostr event object
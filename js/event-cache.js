@@ -0,0 +1,364 @@
+/**
+ * Event Cache Module
+ * Handles storing fetched events in IndexedDB and tracking which date ranges
+ * have already been fetched from each relay for each author
+ */
+
+const CACHE_DB_NAME = 'nostr-kind-explorer';
+const CACHE_DB_VERSION = 2;
+const EVENTS_STORE = 'events';
+const COVERAGE_STORE = 'coverage';
+
+// Open database connection, shared by all cache operations
+let cacheDbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} A promise that resolves to the request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to complete
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise} A promise that resolves when the transaction commits
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open the cache database, creating the stores on first use
+ * Events are keyed by id and indexed by author, kind and created_at; coverage
+ * records hold the time ranges already fetched per author, kind and relay.
+ * @returns {Promise<IDBDatabase>} A promise that resolves to the database
+ */
+function openEventCache() {
+  if (cacheDbPromise) {
+    return cacheDbPromise;
+  }
+  
+  cacheDbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    
+    const request = window.indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      
+      if (event.oldVersion < 1) {
+        const eventsStore = db.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+        eventsStore.createIndex('pubkey', 'pubkey');
+        eventsStore.createIndex('kind', 'kind');
+        eventsStore.createIndex('created_at', 'created_at');
+        
+        db.createObjectStore(COVERAGE_STORE, { keyPath: 'key' });
+      } else if (event.oldVersion < 2) {
+        // Version 1 coverage did not record which relay a range came from,
+        // so those ranges are fetched again; the cached events are kept
+        request.transaction.objectStore(COVERAGE_STORE).clear();
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  // Allow a later attempt if opening failed
+  cacheDbPromise.catch(() => {
+    cacheDbPromise = null;
+  });
+  
+  return cacheDbPromise;
+}
+
+/**
+ * Build the coverage key for an author, kind filter and relay
+ * @param {string} pubkey - Public key in hex format
+ * @param {number|null} kind - The kind filter, or null for all kinds
+ * @param {string} relay - The relay URL
+ * @returns {string} The coverage key
+ */
+function getCoverageKey(pubkey, kind, relay) {
+  return `${pubkey}|${kind === null || kind === undefined ? '*' : kind}|${relay}`;
+}
+
+/**
+ * Merge overlapping or adjacent time ranges
+ * @param {number[][]} ranges - Array of inclusive [since, until] ranges in seconds
+ * @returns {number[][]} Sorted, non-overlapping ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .map(range => [range[0], range[1]])
+    .sort((a, b) => a[0] - b[0]);
+  
+  const merged = [];
+  
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    
+    if (last && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Work out which parts of a time range are not covered yet
+ * @param {number[][]} covered - Ranges already fetched
+ * @param {number} since - Start of the wanted range (inclusive)
+ * @param {number} until - End of the wanted range (inclusive)
+ * @returns {number[][]} The missing [since, until] ranges
+ */
+function getMissingRanges(covered, since, until) {
+  const gaps = [];
+  let cursor = since;
+  
+  mergeRanges(covered).forEach(([start, end]) => {
+    if (end < cursor || start > until) return;
+    
+    if (start > cursor) {
+      gaps.push([cursor, start - 1]);
+    }
+    
+    cursor = Math.max(cursor, end + 1);
+  });
+  
+  if (cursor <= until) {
+    gaps.push([cursor, until]);
+  }
+  
+  return gaps;
+}
+
+/**
+ * Read the coverage ranges recorded for an author on a relay
+ * Ranges fetched for all kinds also cover a specific kind.
+ * @param {IDBObjectStore} store - The coverage store
+ * @param {string} pubkey - Public key in hex format
+ * @param {number|null} kind - The kind filter, or null for all kinds
+ * @param {string} relay - The relay URL
+ * @returns {Promise<number[][]>} A promise that resolves to the covered ranges
+ */
+async function readCoverage(store, pubkey, kind, relay) {
+  const keys = [getCoverageKey(pubkey, null, relay)];
+  
+  if (kind !== null && kind !== undefined) {
+    keys.push(getCoverageKey(pubkey, kind, relay));
+  }
+  
+  const records = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+  
+  return records
+    .filter(Boolean)
+    .reduce((ranges, record) => ranges.concat(record.ranges), []);
+}
+
+/**
+ * Plan which authors need which time ranges fetched from each relay
+ * Each relay only covers what it has answered completely itself, so a relay
+ * added later is asked for the whole range. Authors missing the same ranges
+ * on a relay are grouped so they can share filters.
+ * @param {string[]} pubkeys - Public keys in hex format
+ * @param {number|null} kind - The kind filter, or null for all kinds
+ * @param {number} since - Start of the wanted range (inclusive)
+ * @param {number} until - End of the wanted range (inclusive)
+ * @param {string[]} relays - Array of relay URLs
+ * @returns {Promise<Object>} A promise that resolves to arrays of
+ *   `{ authors, since, until }` entries keyed by relay URL
+ */
+async function planCachedFetch(pubkeys, kind, since, until, relays) {
+  const db = await openEventCache();
+  const store = db.transaction(COVERAGE_STORE).objectStore(COVERAGE_STORE);
+  
+  const plans = await Promise.all(relays.map(async relay => {
+    const coverage = await Promise.all(pubkeys.map(pubkey => readCoverage(store, pubkey, kind, relay)));
+    const plan = {};
+    
+    pubkeys.forEach((pubkey, index) => {
+      getMissingRanges(coverage[index], since, until).forEach(([gapSince, gapUntil]) => {
+        const key = `${gapSince}-${gapUntil}`;
+        
+        if (!plan[key]) {
+          plan[key] = { authors: [], since: gapSince, until: gapUntil };
+        }
+        
+        plan[key].authors.push(pubkey);
+      });
+    });
+    
+    return Object.values(plan);
+  }));
+  
+  const plansByRelay = {};
+  relays.forEach((relay, index) => {
+    plansByRelay[relay] = plans[index];
+  });
+  
+  return plansByRelay;
+}
+
+/**
+ * Read cached events for a set of authors
+ * @param {string[]} pubkeys - Public keys in hex format
+ * @param {Object} options - Filter options
+ * @param {number} options.since - Start of the range (inclusive)
+ * @param {number} options.until - End of the range (inclusive)
+ * @param {number|null} options.kind - The kind filter, or null for all kinds
+ * @returns {Promise<Object[]>} A promise that resolves to the cached events; the
+ *   relays each event was originally received from are restored as its sources
+ */
+async function getCachedEvents(pubkeys, options) {
+  const db = await openEventCache();
+  const index = db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE).index('pubkey');
+  
+  const recordLists = await Promise.all(
+    pubkeys.map(pubkey => requestToPromise(index.getAll(pubkey)))
+  );
+  
+  const events = [];
+  
+  recordLists.forEach(records => {
+    records.forEach(record => {
+      if (record.created_at < options.since || record.created_at > options.until) return;
+      if (options.kind !== null && options.kind !== undefined && record.kind !== options.kind) return;
+      
+      record.relays.forEach(relay => recordEventSource(record.id, relay));
+      restoreEventValidity(record.event, record.validity);
+      events.push(record.event);
+    });
+  });
+  
+  return events;
+}
+
+/**
+ * Store events in the cache, adding to the relays already recorded for each
+ * @param {Object[]} events - Array of Nostr events
+ * @returns {Promise} A promise that resolves when the events are stored
+ */
+async function cacheEvents(events) {
+  const db = await openEventCache();
+  const transaction = db.transaction(EVENTS_STORE, 'readwrite');
+  const store = transaction.objectStore(EVENTS_STORE);
+  
+  events.forEach(event => {
+    const request = store.get(event.id);
+    
+    request.onsuccess = () => {
+      const existing = request.result;
+      const relays = new Set(existing ? existing.relays : []);
+      getEventSources(event.id).forEach(relay => relays.add(relay));
+      
+      store.put({
+        id: event.id,
+        pubkey: event.pubkey,
+        kind: event.kind,
+        created_at: event.created_at,
+        event: toPlainEvent(event),
+        relays: Array.from(relays),
+        validity: verifyEvent(event)
+      });
+    };
+  });
+  
+  await transactionDone(transaction);
+}
+
+/**
+ * Record that a time range has been fetched from a relay for some authors
+ * @param {string[]} pubkeys - Public keys in hex format
+ * @param {number|null} kind - The kind filter, or null for all kinds
+ * @param {number} since - Start of the fetched range (inclusive)
+ * @param {number} until - End of the fetched range (inclusive)
+ * @param {string} relay - The relay URL that sent the range in full
+ * @returns {Promise} A promise that resolves when the coverage is stored
+ */
+async function recordCoverage(pubkeys, kind, since, until, relay) {
+  const db = await openEventCache();
+  const transaction = db.transaction(COVERAGE_STORE, 'readwrite');
+  const store = transaction.objectStore(COVERAGE_STORE);
+  
+  pubkeys.forEach(pubkey => {
+    const key = getCoverageKey(pubkey, kind, relay);
+    const request = store.get(key);
+    
+    request.onsuccess = () => {
+      const existing = request.result;
+      const ranges = existing ? existing.ranges : [];
+      
+      store.put({
+        key,
+        pubkey,
+        kind: kind === undefined ? null : kind,
+        relay,
+        ranges: mergeRanges([...ranges, [since, until]])
+      });
+    };
+  });
+  
+  await transactionDone(transaction);
+}
+
+/**
+ * Summarize the cache contents
+ * @returns {Promise<Object>} A promise that resolves to `{ eventCount, authors }`, where
+ *   each author entry has `pubkey`, `events` and `coverage` records (`kind`,
+ *   `relay` and `ranges`)
+ */
+async function getCacheStatus() {
+  const db = await openEventCache();
+  const transaction = db.transaction([EVENTS_STORE, COVERAGE_STORE]);
+  
+  const eventsStore = transaction.objectStore(EVENTS_STORE);
+  const eventCount = await requestToPromise(eventsStore.count());
+  const coverageRecords = await requestToPromise(transaction.objectStore(COVERAGE_STORE).getAll());
+  
+  const authors = {};
+  
+  for (const record of coverageRecords) {
+    if (!authors[record.pubkey]) {
+      const events = await requestToPromise(eventsStore.index('pubkey').count(record.pubkey));
+      authors[record.pubkey] = { pubkey: record.pubkey, events, coverage: [] };
+    }
+    
+    authors[record.pubkey].coverage.push({ kind: record.kind, relay: record.relay, ranges: record.ranges });
+  }
+  
+  return {
+    eventCount,
+    authors: Object.values(authors).sort((a, b) => b.events - a.events)
+  };
+}
+
+/**
+ * Remove all cached events and coverage records
+ * @returns {Promise} A promise that resolves when the cache is empty
+ */
+async function clearEventCache() {
+  const db = await openEventCache();
+  const transaction = db.transaction([EVENTS_STORE, COVERAGE_STORE], 'readwrite');
+  
+  transaction.objectStore(EVENTS_STORE).clear();
+  transaction.objectStore(COVERAGE_STORE).clear();
+  
+  await transactionDone(transaction);
+}
@@ -0,0 +1,138 @@
+/**
+ * Event Comparison Module
+ * Handles comparing the kinds of two sides of a fetch: the same authors over
+ * two date ranges, or two groups of authors over the same range
+ */
+
+/**
+ * Check whether an event falls within a date range
+ * @param {Object} event - Nostr event object
+ * @param {Object} range - `startDate` and `endDate`, either of which may be null
+ * @returns {boolean} True if the event was created within the range
+ */
+function isInDateRange(event, range) {
+  if (range.startDate && event.created_at < Math.floor(range.startDate.getTime() / 1000)) {
+    return false;
+  }
+  
+  if (range.endDate && event.created_at > Math.floor(range.endDate.getTime() / 1000)) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Get the date range that covers two date ranges
+ * An open end on either range leaves that end of the result open.
+ * @param {Object} a - `startDate` and `endDate`, either of which may be null
+ * @param {Object} b - Another range
+ * @returns {Object} The covering `startDate` and `endDate`
+ */
+function getSpanningDateRange(a, b) {
+  return {
+    startDate: a.startDate && b.startDate ? new Date(Math.min(a.startDate, b.startDate)) : null,
+    endDate: a.endDate && b.endDate ? new Date(Math.max(a.endDate, b.endDate)) : null
+  };
+}
+
+/**
+ * Describe a date range as entered in the form
+ * @param {string} start - Start date (YYYY-MM-DD), or empty
+ * @param {string} end - End date (YYYY-MM-DD), or empty
+ * @returns {string} The description, e.g. "2024-03-01 to 2024-03-31"
+ */
+function describeDateRange(start, end) {
+  if (!start && !end) return 'all time';
+  if (!start) return `until ${end}`;
+  if (!end) return `since ${start}`;
+  
+  return `${start} to ${end}`;
+}
+
+/**
+ * Describe a group of authors
+ * @param {string[]} pubkeys - The authors' hex public keys
+ * @returns {string} The first few shortened keys and how many more there are
+ */
+function describeAuthors(pubkeys) {
+  const shown = pubkeys.slice(0, 3).map(formatPubkey).join(', ');
+  return pubkeys.length > 3 ? `${shown} and ${pubkeys.length - 3} more` : shown;
+}
+
+/**
+ * Check whether an event belongs to one side of a comparison
+ * @param {Object} event - Nostr event object
+ * @param {Object} side - `startDate`, `endDate` and optionally `pubkeys` (hex)
+ * @returns {boolean} True if the event is by one of the side's authors (if
+ *   given) and within its date range
+ */
+function matchesComparisonSide(event, side) {
+  if (side.pubkeys && !side.pubkeys.includes(event.pubkey)) {
+    return false;
+  }
+  
+  return isInDateRange(event, side);
+}
+
+/**
+ * Compare the number of events per kind on the two sides of a comparison
+ * An event that matches both sides (an author on both, or overlapping date
+ * ranges) is counted on both.
+ * @param {Object[]} events - Array of Nostr events
+ * @param {Object[]} sides - The two sides (see matchesComparisonSide)
+ * @param {Object} [previous] - A comparison of other events over the same
+ *   sides to add these events to
+ * @returns {Object} `rows` (with `kind`, `a`, `b`, `delta`, `percent` and
+ *   `only`: 'a', 'b' or null), the event `totals` of each side, the number of
+ *   kinds `onlyA` and `onlyB`, and the per-kind `counts` behind the rows;
+ *   rows are sorted by the size of the change, largest first
+ */
+function compareKinds(events, sides, previous = null) {
+  const counts = {};
+  const totals = previous ? { ...previous.totals } : { a: 0, b: 0 };
+  
+  if (previous) {
+    Object.entries(previous.counts).forEach(([kind, count]) => {
+      counts[kind] = { ...count };
+    });
+  }
+  
+  events.forEach(event => {
+    ['a', 'b'].forEach((key, index) => {
+      if (!matchesComparisonSide(event, sides[index])) return;
+      
+      if (!counts[event.kind]) {
+        counts[event.kind] = { a: 0, b: 0 };
+      }
+      counts[event.kind][key]++;
+      totals[key]++;
+    });
+  });
+  
+  const rows = Object.entries(counts).map(([kind, { a, b }]) => {
+    let only = null;
+    if (a === 0) only = 'b';
+    if (b === 0) only = 'a';
+    
+    return {
+      kind: parseInt(kind, 10),
+      a,
+      b,
+      delta: b - a,
+      // The change relative to the first side; null for kinds only on the second
+      percent: a > 0 ? ((b - a) / a) * 100 : null,
+      only
+    };
+  });
+  
+  rows.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta) || x.kind - y.kind);
+  
+  return {
+    rows,
+    totals,
+    counts,
+    onlyA: rows.filter(row => row.only === 'a').length,
+    onlyB: rows.filter(row => row.only === 'b').length
+  };
+}
@@ -0,0 +1,274 @@
+/**
+ * Event Diff Module
+ * Handles grouping and comparing versions of replaceable and addressable events
+ */
+
+/**
+ * Longest value shown in a change before it is truncated
+ */
+const MAX_DIFF_VALUE_LENGTH = 80;
+
+/**
+ * Get the key that identifies the versions of an event
+ * Replaceable events are versions of the same (kind, author); addressable
+ * events of the same (kind, author, `d` tag).
+ * @param {Object} event - Nostr event object
+ * @returns {string|null} The version key, or null for regular and ephemeral kinds
+ */
+function getVersionKey(event) {
+  const category = getKindCategory(event.kind);
+  
+  if (category === KIND_CATEGORIES.REPLACEABLE) {
+    return `${event.kind}:${event.pubkey}`;
+  }
+  
+  if (category === KIND_CATEGORIES.ADDRESSABLE) {
+    const dTag = event.tags.find(tag => tag[0] === 'd');
+    return `${event.kind}:${event.pubkey}:${dTag ? dTag[1] : ''}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Compare two versions of an event, newest first
+ * Ties are broken by the lowest id, as relays do (NIP-01).
+ * @param {Object} a - Nostr event object
+ * @param {Object} b - Nostr event object
+ * @returns {number} Negative if `a` is the newer version
+ */
+function compareVersions(a, b) {
+  if (a.created_at !== b.created_at) {
+    return b.created_at - a.created_at;
+  }
+  
+  return a.id < b.id ? -1 : 1;
+}
+
+/**
+ * Group the versions of replaceable and addressable events
+ * Every other event is an item of its own.
+ * @param {Object[]} events - Nostr events, newest first
+ * @returns {Object[]} Items with the newest version as `event` and all
+ *   versions, newest first, as `versions`
+ */
+function groupEventVersions(events) {
+  const items = [];
+  const itemsByKey = new Map();
+  
+  events.forEach(event => {
+    const key = getVersionKey(event);
+    
+    if (key === null) {
+      items.push({ event, versions: [event] });
+    } else if (itemsByKey.has(key)) {
+      itemsByKey.get(key).versions.push(event);
+    } else {
+      const item = { event, versions: [event] };
+      itemsByKey.set(key, item);
+      items.push(item);
+    }
+  });
+  
+  itemsByKey.forEach(item => {
+    item.versions.sort(compareVersions);
+    item.event = item.versions[0];
+  });
+  
+  return items;
+}
+
+/**
+ * Truncate a value for display in a change
+ * @param {*} value - The value
+ * @returns {string} The value as a string, truncated if needed
+ */
+function formatDiffValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  
+  if (text === undefined) return '';
+  
+  return text.length > MAX_DIFF_VALUE_LENGTH
+    ? `${text.substring(0, MAX_DIFF_VALUE_LENGTH)}…`
+    : text;
+}
+
+/**
+ * Get the noun used to count changes to a tag
+ * @param {string} tagName - The tag name
+ * @param {number} kind - The event kind
+ * @returns {string} The noun, e.g. "follow" for `p` tags in kind 3
+ */
+function getTagNoun(tagName, kind) {
+  if (tagName === 'p') return kind === 3 ? 'follow' : 'pubkey';
+  if (tagName === 'r' || tagName === 'relay') return 'relay';
+  if (tagName === 't') return 'hashtag';
+  if (tagName === 'e') return 'event';
+  
+  return `"${tagName}" tag`;
+}
+
+/**
+ * Describe a tag for a change
+ * @param {string[]} tag - The tag
+ * @returns {string} A short description of the tag
+ */
+function describeTag(tag) {
+  if (tag[0] === 'p') {
+    return tag[3] ? `${formatPubkey(tag[1])} (${tag[3]})` : formatPubkey(tag[1]);
+  }
+  
+  if (tag[0] === 'r' && tag[2]) {
+    return `${tag[1]} (${tag[2]})`;
+  }
+  
+  if (tag[0] === 't') {
+    return `#${tag[1]}`;
+  }
+  
+  return formatDiffValue(tag.slice(1).join(' '));
+}
+
+/**
+ * Tags that hold one entry of a list, such as a follow or a relay
+ */
+const LIST_TAG_NAMES = ['p', 'e', 'a', 't', 'r', 'relay'];
+
+/**
+ * Compare the tags of two versions
+ * List tags are matched by name and first value, so a relay whose marker
+ * changed is reported as changed rather than removed and added. Other tags
+ * that appear once in each version (such as `title`) are matched by name.
+ * @param {Object} older - The older version
+ * @param {Object} newer - The newer version
+ * @returns {Object[]} Changes with `type`, `noun` and `text`
+ */
+function diffTags(older, newer) {
+  const countNames = event => {
+    const counts = {};
+    event.tags.forEach(tag => {
+      counts[tag[0]] = (counts[tag[0]] || 0) + 1;
+    });
+    return counts;
+  };
+  
+  const olderCounts = countNames(older);
+  const newerCounts = countNames(newer);
+  
+  const index = event => {
+    const tags = new Map();
+    event.tags.forEach(tag => {
+      const single = !LIST_TAG_NAMES.includes(tag[0])
+        && olderCounts[tag[0]] === 1 && newerCounts[tag[0]] === 1;
+      const key = single ? tag[0] : `${tag[0]}|${tag[1]}`;
+      if (!tags.has(key)) tags.set(key, tag);
+    });
+    return tags;
+  };
+  
+  const olderTags = index(older);
+  const newerTags = index(newer);
+  const changes = [];
+  
+  newerTags.forEach((tag, key) => {
+    const noun = getTagNoun(tag[0], newer.kind);
+    const previous = olderTags.get(key);
+    
+    if (!previous) {
+      changes.push({ type: 'added', noun, text: `${noun} ${describeTag(tag)}` });
+    } else if (JSON.stringify(previous) !== JSON.stringify(tag)) {
+      changes.push({ type: 'changed', noun, text: `${noun} ${describeTag(previous)} → ${describeTag(tag)}` });
+    }
+  });
+  
+  olderTags.forEach((tag, key) => {
+    if (!newerTags.has(key)) {
+      const noun = getTagNoun(tag[0], older.kind);
+      changes.push({ type: 'removed', noun, text: `${noun} ${describeTag(tag)}` });
+    }
+  });
+  
+  return changes;
+}
+
+/**
+ * Parse content as a JSON object
+ * @param {string} content - The event content
+ * @returns {Object|null} The object, or null if the content is not a JSON object
+ */
+function parseJsonObject(content) {
+  try {
+    const value = JSON.parse(content);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare the content of two versions
+ * JSON objects (such as kind 0 profiles) are compared field by field.
+ * @param {Object} older - The older version
+ * @param {Object} newer - The newer version
+ * @returns {Object[]} Changes with `type`, `noun` and `text`
+ */
+function diffContent(older, newer) {
+  if (older.content === newer.content) return [];
+  
+  const olderObject = parseJsonObject(older.content);
+  const newerObject = parseJsonObject(newer.content);
+  
+  if (!olderObject || !newerObject) {
+    return [{
+      type: 'changed',
+      noun: 'content',
+      text: `content "${formatDiffValue(older.content)}" → "${formatDiffValue(newer.content)}"`
+    }];
+  }
+  
+  const changes = [];
+  const fields = new Set([...Object.keys(olderObject), ...Object.keys(newerObject)]);
+  
+  fields.forEach(field => {
+    const before = olderObject[field];
+    const after = newerObject[field];
+    
+    if (before === undefined) {
+      changes.push({ type: 'added', noun: 'field', text: `${field}: ${formatDiffValue(after)}` });
+    } else if (after === undefined) {
+      changes.push({ type: 'removed', noun: 'field', text: `${field}: ${formatDiffValue(before)}` });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ type: 'changed', noun: 'field', text: `${field}: ${formatDiffValue(before)} → ${formatDiffValue(after)}` });
+    }
+  });
+  
+  return changes;
+}
+
+/**
+ * Compare two versions of a replaceable or addressable event
+ * @param {Object} older - The older version
+ * @param {Object} newer - The newer version
+ * @returns {Object} `changes` (with `type`, `noun`, `text`) and a one-line `summary`
+ */
+function diffVersions(older, newer) {
+  const changes = [...diffContent(older, newer), ...diffTags(older, newer)];
+  
+  // Count changes by type and noun, e.g. "+3 follows, −1 relay"
+  const counts = new Map();
+  changes.forEach(change => {
+    const key = `${change.type}|${change.noun}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  
+  const symbols = { added: '+', removed: '−', changed: '~' };
+  const summary = Array.from(counts.entries())
+    .map(([key, count]) => {
+      const [type, noun] = key.split('|');
+      const plural = count === 1 || noun === 'content' ? noun : `${noun}s`;
+      return `${symbols[type]}${count} ${plural}`;
+    })
+    .join(', ');
+  
+  return { changes, summary: summary || 'no changes' };
+}
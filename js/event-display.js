@@ -7,12 +7,18 @@
  * Display events in the UI
  * @param {Object} kindGroups - Object with events grouped by kind
  * @param {string|number} selectedKind - The selected kind to display, or 'all' for all kinds
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.hideInvalid] - Hide events that failed id or signature verification
+ * @param {Object} [options.search] - Only show events matching this query (from parseSearchQuery), highlighting the matches
+ * @param {string} [options.sort] - Sort order, a key of EVENT_SORT_ORDERS (newest first by default)
+ * @param {string} [options.client] - Only show events published by this client (a key from getEventClient)
  */
-function displayEvents(kindGroups, selectedKind) {
+function displayEvents(kindGroups, selectedKind, options = {}) {
   const eventsContainer = document.getElementById('events-container');
   if (!eventsContainer) return;
   
   // Clear the container
+  clearEventList();
   eventsContainer.innerHTML = '';
   
   // If there are no events, show a message
@@ -23,70 +29,1622 @@ function displayEvents(kindGroups, selectedKind) {
     return;
   }
   
-  // Get the events to display
-  let eventsToDisplay = [];
+  // Get the events to display, with older versions of replaceable and
+  // addressable events collapsed under the newest one
+  const items = getDisplayItems(kindGroups, selectedKind, options);
+  
+  // If there are no events to display, show a message
+  if (items.length === 0) {
+    const noEventsMessage = document.createElement('p');
+    noEventsMessage.textContent = 'No events found for the selected kind.';
+    eventsContainer.appendChild(noEventsMessage);
+    return;
+  }
+  
+  renderEventList(eventsContainer, items, {
+    sort: options.sort,
+    highlightPatterns: options.search ? getHighlightPatterns(options.search) : []
+  });
+}
+
+/**
+ * Update the displayed events after events were added, keeping the scroll
+ * position and expanded rows of the list
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {string|number} selectedKind - The selected kind to display, or 'all' for all kinds
+ * @param {Object} [options] - Display options (see displayEvents)
+ */
+function updateDisplayedEvents(kindGroups, selectedKind, options = {}) {
+  const items = getDisplayItems(kindGroups, selectedKind, options);
+  
+  if (items.length === 0 || !updateEventList(items)) {
+    displayEvents(kindGroups, selectedKind, options);
+  }
+}
+
+/**
+ * Get the list items for a kind selection
+ * Older versions of replaceable and addressable events are collapsed under
+ * the newest one, which decides the item's place in the list. Versions are
+ * grouped before the search and client filters are applied, so an item is
+ * shown whole, with its full history, when its newest version matches.
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {string|number} selectedKind - The selected kind, or 'all' for all kinds
+ * @param {Object} [options] - Display options (see displayEvents)
+ * @returns {Object[]} Items from groupEventVersions, sorted
+ */
+function getDisplayItems(kindGroups, selectedKind, options = {}) {
+  const compare = getEventComparator(options.sort);
+  let events = getSelectedEvents(kindGroups, selectedKind);
+  
+  // Invalid events are not versions of anything
+  if (options.hideInvalid) {
+    events = events.filter(isEventValid);
+  }
+  
+  return groupEventVersions(events)
+    .filter(item => matchesDisplayFilters(item.event, options))
+    .sort((a, b) => compare(a.event, b.event));
+}
+
+/**
+ * Create the full element for a list item: the event, and the timeline of
+ * older versions if it has any
+ * @param {Object} item - An item from groupEventVersions
+ * @param {RegExp[]} [highlightPatterns] - Patterns to highlight in the event
+ * @returns {HTMLElement} The event element
+ */
+function createEventItemElement({ event, versions }, highlightPatterns = []) {
+  const eventElement = createEventElement(event);
+  
+  if (highlightPatterns.length > 0) {
+    highlightMatches(eventElement, highlightPatterns);
+  }
+  
+  if (versions.length > 1) {
+    const currentBadge = document.createElement('span');
+    currentBadge.className = 'kind-badge version-current';
+    currentBadge.textContent = 'Current';
+    currentBadge.title = 'Newest version fetched';
+    eventElement.querySelector('.event-header').appendChild(currentBadge);
+    eventElement.appendChild(createVersionHistory(versions));
+  }
+  
+  return eventElement;
+}
+
+/**
+ * Wrap the text matching any of the patterns in <mark> elements
+ * Only the rendered view, the raw JSON and the list row preview are searched.
+ * @param {HTMLElement} element - The event element
+ * @param {RegExp[]} patterns - Global patterns from getHighlightPatterns
+ */
+function highlightMatches(element, patterns) {
+  element.querySelectorAll('.event-rendered, .event-content, .event-row-preview').forEach(container => {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+    
+    textNodes.forEach(node => {
+      const text = node.nodeValue;
+      const ranges = [];
+      
+      patterns.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+          if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+          }
+          ranges.push([match.index, match.index + match[0].length]);
+        }
+      });
+      
+      if (ranges.length === 0) return;
+      
+      // Merge overlapping matches
+      ranges.sort((a, b) => a[0] - b[0]);
+      const merged = [ranges[0]];
+      ranges.slice(1).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          merged.push(range);
+        }
+      });
+      
+      const fragment = document.createDocumentFragment();
+      let position = 0;
+      
+      merged.forEach(([start, end]) => {
+        fragment.appendChild(document.createTextNode(text.substring(position, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.substring(start, end);
+        fragment.appendChild(mark);
+        position = end;
+      });
+      
+      fragment.appendChild(document.createTextNode(text.substring(position)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  });
+}
+
+/**
+ * Show the search result count or a query error below the search bar
+ * @param {string} message - The message to show (empty to clear it)
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function displaySearchStatus(message, isError = false) {
+  const searchStatus = document.getElementById('search-status');
+  if (!searchStatus) return;
+  
+  searchStatus.textContent = message;
+  searchStatus.classList.toggle('search-error', isError);
+}
+
+/**
+ * Maximum number of changes listed for one version
+ */
+const MAX_VERSION_CHANGES = 100;
+
+/**
+ * Create the version timeline of a replaceable or addressable event
+ * Each version lists what changed since the version before it.
+ * @param {Object[]} versions - All versions, newest first
+ * @returns {HTMLElement} The collapsed timeline
+ */
+function createVersionHistory(versions) {
+  const history = document.createElement('details');
+  history.className = 'version-history';
+  
+  const latestDiff = diffVersions(versions[1], versions[0]);
+  const summary = document.createElement('summary');
+  summary.textContent = `${versions.length - 1} older version${versions.length === 2 ? '' : 's'} · latest change: ${latestDiff.summary}`;
+  history.appendChild(summary);
+  
+  const timeline = document.createElement('ol');
+  timeline.className = 'version-timeline';
+  
+  versions.forEach((version, index) => {
+    const item = document.createElement('li');
+    const previous = versions[index + 1];
+    const diff = previous ? diffVersions(previous, version) : null;
+    
+    const heading = document.createElement('div');
+    heading.className = 'version-heading';
+    heading.textContent = `${formatTimestamp(version.created_at)}${index === 0 ? ' (current)' : ''} — ${diff ? diff.summary : 'oldest version fetched'}`;
+    item.appendChild(heading);
+    
+    if (diff && diff.changes.length > 0) {
+      const changeList = document.createElement('ul');
+      changeList.className = 'version-changes';
+      
+      diff.changes.slice(0, MAX_VERSION_CHANGES).forEach(change => {
+        const changeItem = document.createElement('li');
+        changeItem.className = `change-${change.type}`;
+        changeItem.textContent = change.text;
+        changeList.appendChild(changeItem);
+      });
+      
+      if (diff.changes.length > MAX_VERSION_CHANGES) {
+        const moreItem = document.createElement('li');
+        moreItem.textContent = `…and ${diff.changes.length - MAX_VERSION_CHANGES} more`;
+        changeList.appendChild(moreItem);
+      }
+      
+      item.appendChild(changeList);
+    }
+    
+    // Older versions can be expanded; the element is only built when opened
+    if (index > 0) {
+      const versionDetails = document.createElement('details');
+      const versionSummary = document.createElement('summary');
+      versionSummary.textContent = 'Show this version';
+      versionDetails.appendChild(versionSummary);
+      versionDetails.addEventListener('toggle', () => {
+        if (versionDetails.open && versionDetails.children.length === 1) {
+          versionDetails.appendChild(createEventElement(version));
+        }
+      });
+      item.appendChild(versionDetails);
+    }
+    
+    timeline.appendChild(item);
+  });
+  
+  history.appendChild(timeline);
+  return history;
+}
+
+/**
+ * Get the events of a kind selection
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {string|number} selectedKind - The selected kind, or 'all' for all kinds
+ * @returns {Object[]} The events of the selection, unsorted
+ */
+function getSelectedEvents(kindGroups, selectedKind) {
+  if (selectedKind === 'all') {
+    // Display all events
+    // Spreading a large kind group into push() overflows the call stack
+    return Object.values(kindGroups).flat();
+  }
+  
+  // Display events of the selected kind
+  const kind = parseInt(selectedKind, 10);
+  return [...(kindGroups[kind] || [])];
+}
+
+/**
+ * Check an event against the display filters
+ * @param {Object} event - Nostr event object
+ * @param {Object} [options] - Display options (see displayEvents)
+ * @returns {boolean} True if the event passes the validity, search and client filters
+ */
+function matchesDisplayFilters(event, options = {}) {
+  if (options.hideInvalid && !isEventValid(event)) {
+    return false;
+  }
+  
+  if (options.search && !matchesSearch(event, options.search)) {
+    return false;
+  }
+  
+  if (options.client && getEventClient(event).key !== options.client) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Get the events for a kind selection, with the display filters applied
+ * Each event is checked on its own, without grouping versions, as exports
+ * contain every matching event.
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {string|number} selectedKind - The selected kind, or 'all' for all kinds
+ * @param {Object} [options] - Display options (see displayEvents)
+ * @returns {Object[]} The events to display, unsorted
+ */
+function getEventsToDisplay(kindGroups, selectedKind, options = {}) {
+  return getSelectedEvents(kindGroups, selectedKind)
+    .filter(event => matchesDisplayFilters(event, options));
+}
+
+/**
+ * Create an HTML element for an event
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The event element
+ */
+function createEventElement(event) {
+  const eventElement = document.createElement('div');
+  eventElement.className = 'event';
+  eventElement.dataset.eventId = event.id;
+  
+  // Create the event header
+  const eventHeader = document.createElement('div');
+  eventHeader.className = 'event-header';
+  
+  // Format the timestamp
+  const timestamp = formatTimestamp(event.created_at);
+  
+  // Get the kind name
+  const kindName = getKindName(event.kind);
+  
+  // Set the header text
+  eventHeader.textContent = `${timestamp} - Kind ${event.kind} (${kindName})`;
+  
+  // Add the kind's category and defining NIPs
+  eventHeader.appendChild(createKindBadges(event.kind));
+  
+  // Notes can be opened in the thread view
+  if (event.kind === 1) {
+    const threadButton = document.createElement('button');
+    threadButton.type = 'button';
+    threadButton.className = 'thread-button';
+    threadButton.textContent = 'View thread';
+    threadButton.addEventListener('click', () => openThread(event));
+    eventHeader.appendChild(threadButton);
+  }
+  
+  // Add the verification badge
+  const validity = verifyEvent(event);
+  const validityBadge = document.createElement('span');
+  validityBadge.className = `validity-badge validity-${validity}`;
+  validityBadge.textContent = EVENT_VALIDITY_LABELS[validity];
+  eventHeader.appendChild(validityBadge);
+  
+  if (validity !== EVENT_VALIDITY.VERIFIED) {
+    eventElement.classList.add('event-invalid');
+  }
+  
+  // Add a warning marker for lint issues
+  const lintIssues = validateEvent(event);
+  let lintList = null;
+  
+  if (lintIssues.length > 0) {
+    const hasErrors = lintIssues.some(issue => issue.severity === LINT_SEVERITY.ERROR);
+    const lintMarker = document.createElement('span');
+    lintMarker.className = `lint-marker lint-${hasErrors ? LINT_SEVERITY.ERROR : LINT_SEVERITY.WARNING}`;
+    lintMarker.textContent = `⚠ ${lintIssues.length} lint issue${lintIssues.length === 1 ? '' : 's'}`;
+    eventHeader.appendChild(lintMarker);
+    eventElement.classList.add('event-lint');
+    
+    lintList = document.createElement('ul');
+    lintList.className = 'lint-issues';
+    
+    lintIssues.forEach(issue => {
+      const item = document.createElement('li');
+      item.className = `lint-${issue.severity}`;
+      item.textContent = `${issue.rule}: ${issue.message}`;
+      lintList.appendChild(item);
+    });
+  }
+  
+  // Show which relays returned this event
+  const sources = getEventSources(event.id);
+  let relayChips = null;
+  
+  if (sources.length > 0) {
+    relayChips = document.createElement('div');
+    relayChips.className = 'relay-chips';
+    
+    sources.forEach(relay => {
+      const chip = document.createElement('span');
+      chip.className = 'relay-chip';
+      chip.textContent = relay.replace(/^wss?:\/\//, '');
+      chip.title = relay;
+      relayChips.appendChild(chip);
+    });
+  }
+  
+  // Create the event content
+  const eventContent = document.createElement('pre');
+  eventContent.className = 'event-content';
+  eventContent.textContent = formatEventJson(event);
+  
+  // Add the header and content to the event element
+  eventElement.appendChild(eventHeader);
+  if (relayChips) {
+    eventElement.appendChild(relayChips);
+  }
+  if (lintList) {
+    eventElement.appendChild(lintList);
+  }
+  
+  // Referenced events and profiles can be resolved on demand
+  const referenceSection = createReferenceSection(event);
+  if (referenceSection) {
+    eventElement.appendChild(referenceSection);
+  }
+  
+  // Kinds with a renderer show the rendered view, with the raw JSON behind a toggle
+  const renderedBody = renderEventBody(event);
+  
+  if (renderedBody) {
+    renderedBody.classList.add('event-rendered');
+    eventElement.appendChild(renderedBody);
+    
+    const rawJson = document.createElement('details');
+    rawJson.className = 'raw-json';
+    const rawJsonSummary = document.createElement('summary');
+    rawJsonSummary.textContent = 'Raw JSON';
+    rawJson.appendChild(rawJsonSummary);
+    rawJson.appendChild(eventContent);
+    eventElement.appendChild(rawJson);
+  } else {
+    eventElement.appendChild(eventContent);
+  }
+  
+  return eventElement;
+}
+
+/**
+ * Maximum number of references listed for one event
+ */
+const MAX_REFERENCES = 50;
+
+/**
+ * Create the collapsed list of events and profiles an event references
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement|null} The reference section, or null if the event has no references
+ */
+function createReferenceSection(event) {
+  const references = getReferences(event);
+  if (references.length === 0) return null;
+  
+  const section = document.createElement('details');
+  section.className = 'event-references';
+  
+  const summary = document.createElement('summary');
+  summary.textContent = `References (${references.length})`;
+  section.appendChild(summary);
+  
+  // The list is built, and profile names looked up, when the section is first opened
+  section.addEventListener('toggle', () => {
+    if (!section.open || section.children.length > 1) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'reference-list';
+    
+    references.slice(0, MAX_REFERENCES).forEach(reference => {
+      list.appendChild(createReferenceItem(reference));
+    });
+    
+    if (references.length > MAX_REFERENCES) {
+      const moreItem = document.createElement('li');
+      moreItem.textContent = `…and ${references.length - MAX_REFERENCES} more`;
+      list.appendChild(moreItem);
+    }
+    
+    section.appendChild(list);
+  });
+  
+  return section;
+}
+
+/**
+ * Create a list item for a reference
+ * Profiles show their display name; events are fetched and shown inline when clicked.
+ * @param {Object} reference - A reference from getReferences
+ * @returns {HTMLElement} The list item
+ */
+function createReferenceItem(reference) {
+  const item = document.createElement('li');
+  item.className = 'reference-item';
+  
+  const label = document.createElement('span');
+  label.className = 'reference-label';
+  label.textContent = `${reference.label}: `;
+  item.appendChild(label);
+  
+  if (reference.type === 'p') {
+    const profileLink = document.createElement('a');
+    profileLink.className = 'entity-link';
+    profileLink.href = '#';
+    profileLink.title = reference.value;
+    profileLink.textContent = formatPubkey(reference.value);
+    profileLink.addEventListener('click', (clickEvent) => {
+      clickEvent.preventDefault();
+      exploreIdentifier(reference.value);
+    });
+    item.appendChild(profileLink);
+    
+    fetchProfileName(reference.value, getConfiguredRelays()).then(name => {
+      if (name) profileLink.textContent = name;
+    });
+    
+    return item;
+  }
+  
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'reference-toggle';
+  toggle.title = reference.value;
+  toggle.textContent = reference.value.length > 24 ? `${reference.value.substring(0, 24)}…` : reference.value;
+  item.appendChild(toggle);
+  
+  const target = document.createElement('div');
+  target.className = 'reference-target';
+  item.appendChild(target);
+  
+  toggle.addEventListener('click', async () => {
+    // A resolved event is shown and hidden on later clicks
+    if (item.dataset.resolved) {
+      target.style.display = target.style.display === 'none' ? 'block' : 'none';
+      return;
+    }
+    
+    toggle.disabled = true;
+    target.textContent = 'Loading...';
+    
+    try {
+      const referencedEvent = await resolveReference(reference, getConfiguredRelays());
+      target.innerHTML = '';
+      
+      if (referencedEvent) {
+        target.appendChild(createEventElement(referencedEvent));
+        item.dataset.resolved = 'true';
+      } else {
+        target.textContent = 'Not found on the configured relays or the relay hint.';
+      }
+    } catch (error) {
+      console.error('Error resolving reference:', error);
+      target.textContent = 'Could not fetch the referenced event.';
+    } finally {
+      toggle.disabled = false;
+    }
+  });
+  
+  return item;
+}
+
+/**
+ * Show a message in the thread view, e.g. while a thread loads
+ * @param {string} message - The message to show
+ */
+function showThreadMessage(message) {
+  const threadView = document.getElementById('thread-view');
+  const threadContent = document.getElementById('thread-content');
+  if (!threadView || !threadContent) return;
+  
+  threadContent.textContent = message;
+  threadView.style.display = 'block';
+  threadView.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Hide the thread view
+ */
+function hideThread() {
+  const threadView = document.getElementById('thread-view');
+  const threadContent = document.getElementById('thread-content');
+  
+  if (threadView) threadView.style.display = 'none';
+  if (threadContent) threadContent.innerHTML = '';
+}
+
+/**
+ * Display a reply thread
+ * @param {Object} tree - Thread tree from buildThreadTree
+ * @param {string} focusId - The id of the note the thread was opened from
+ */
+function displayThread(tree, focusId) {
+  const threadView = document.getElementById('thread-view');
+  const threadContent = document.getElementById('thread-content');
+  if (!threadView || !threadContent) return;
+  
+  threadContent.innerHTML = '';
+  
+  const rootList = document.createElement('ul');
+  rootList.className = 'thread-tree';
+  
+  if (tree.root) {
+    rootList.appendChild(createThreadNode(tree.root, focusId));
+  } else {
+    const missingRoot = document.createElement('li');
+    missingRoot.className = 'thread-missing';
+    missingRoot.textContent = 'The root note was not found on the configured relays.';
+    rootList.appendChild(missingRoot);
+  }
+  
+  threadContent.appendChild(rootList);
+  
+  if (tree.orphans.length > 0) {
+    const orphanHeading = document.createElement('p');
+    orphanHeading.className = 'thread-missing';
+    orphanHeading.textContent = 'Replies whose parent was not found:';
+    threadContent.appendChild(orphanHeading);
+    
+    const orphanList = document.createElement('ul');
+    orphanList.className = 'thread-tree';
+    tree.orphans.forEach(node => orphanList.appendChild(createThreadNode(node, focusId)));
+    threadContent.appendChild(orphanList);
+  }
+  
+  threadView.style.display = 'block';
+  threadView.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Create a note and its replies for the thread view
+ * @param {Object} node - A thread tree node (`event`, `children`)
+ * @param {string} focusId - The id of the note the thread was opened from
+ * @returns {HTMLElement} The list item
+ */
+function createThreadNode(node, focusId) {
+  const item = document.createElement('li');
+  
+  const note = document.createElement('div');
+  note.className = node.event.id === focusId ? 'thread-note thread-focus' : 'thread-note';
+  note.dataset.eventId = node.event.id;
+  
+  const noteHeader = document.createElement('div');
+  noteHeader.className = 'thread-note-header';
+  
+  const author = document.createElement('strong');
+  author.textContent = formatPubkey(node.event.pubkey);
+  noteHeader.appendChild(author);
+  noteHeader.appendChild(document.createTextNode(` · ${formatTimestamp(node.event.created_at)}`));
+  note.appendChild(noteHeader);
+  
+  fetchProfileName(node.event.pubkey, getConfiguredRelays()).then(name => {
+    if (name) author.textContent = name;
+  });
+  
+  note.appendChild(renderRichText(node.event.content));
+  item.appendChild(note);
+  
+  if (node.children.length > 0) {
+    const replies = document.createElement('ul');
+    replies.className = 'thread-tree';
+    node.children.forEach(child => replies.appendChild(createThreadNode(child, focusId)));
+    item.appendChild(replies);
+  }
+  
+  return item;
+}
+
+/**
+ * Create the category badge, deprecation badge and NIP links for a kind
+ * @param {number} kind - The kind number
+ * @returns {HTMLElement} A span holding the badges
+ */
+function createKindBadges(kind) {
+  const info = getKindInfo(kind);
+  const badges = document.createElement('span');
+  badges.className = 'kind-badges';
+  
+  const categoryBadge = document.createElement('span');
+  categoryBadge.className = `kind-badge category-${info.category}`;
+  categoryBadge.textContent = info.category;
+  badges.appendChild(categoryBadge);
+  
+  if (info.deprecated) {
+    const deprecatedBadge = document.createElement('span');
+    deprecatedBadge.className = 'kind-badge kind-deprecated';
+    deprecatedBadge.textContent = 'deprecated';
+    badges.appendChild(deprecatedBadge);
+  }
+  
+  info.nips.forEach(nip => {
+    const nipLink = document.createElement('a');
+    nipLink.className = 'nip-link';
+    nipLink.href = getNipUrl(nip);
+    nipLink.target = '_blank';
+    nipLink.rel = 'noopener noreferrer';
+    nipLink.textContent = `NIP-${nip}`;
+    badges.appendChild(nipLink);
+  });
+  
+  return badges;
+}
+
+/**
+ * Describe the selected kind below the kind selector
+ * Kinds that are not in the registry get an investigation of their events
+ * and a field for the user's own label.
+ * @param {string|number} selectedKind - The selected kind, or 'all' for all kinds
+ * @param {Object} [investigation] - The result of investigateKind for an unregistered kind
+ * @param {Function} [onLabel] - Called with the kind and the new label (empty to remove it)
+ */
+function displayKindInfo(selectedKind, investigation = null, onLabel = null) {
+  const kindInfoElement = document.getElementById('kind-info');
+  if (!kindInfoElement) return;
+  
+  kindInfoElement.innerHTML = '';
   
   if (selectedKind === 'all') {
-    // Display all events, sorted by created_at (newest first)
-    const allEvents = [];
-    Object.values(kindGroups).forEach(events => {
-      allEvents.push(...events);
+    kindInfoElement.style.display = 'none';
+    return;
+  }
+  
+  const info = getKindInfo(selectedKind);
+  
+  const title = document.createElement('strong');
+  if (info.known) {
+    title.textContent = `Kind ${info.kind}: ${info.name}`;
+  } else {
+    title.textContent = info.label ? `Kind ${info.kind}: ${info.label} (your label)` : `Kind ${info.kind}`;
+  }
+  kindInfoElement.appendChild(title);
+  kindInfoElement.appendChild(createKindBadges(info.kind));
+  
+  const details = document.createElement('div');
+  details.className = 'kind-info-details';
+  
+  if (info.known) {
+    const tags = info.tags.length > 0 ? info.tags.join(', ') : 'none listed';
+    details.textContent = `Content: ${info.content} · Expected tags: ${tags}`;
+  } else {
+    details.textContent = 'This kind is not in the registry.';
+  }
+  
+  kindInfoElement.appendChild(details);
+  
+  if (!info.known) {
+    if (onLabel) {
+      kindInfoElement.appendChild(createKindLabelForm(info, onLabel));
+    }
+    
+    if (investigation) {
+      kindInfoElement.appendChild(createKindInvestigation(investigation));
+    }
+  }
+  
+  kindInfoElement.style.display = 'block';
+}
+
+/**
+ * Create the field for labelling an unregistered kind
+ * @param {Object} info - The kind's information from getKindInfo
+ * @param {Function} onLabel - Called with the kind and the new label (empty to remove it)
+ * @returns {HTMLElement} The label form
+ */
+function createKindLabelForm(info, onLabel) {
+  const form = document.createElement('form');
+  form.className = 'kind-label-form';
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Your label for this kind';
+  input.setAttribute('aria-label', `Your label for kind ${info.kind}`);
+  input.value = info.label || '';
+  form.appendChild(input);
+  
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.textContent = 'Save Label';
+  form.appendChild(saveButton);
+  
+  if (info.label) {
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.textContent = 'Remove Label';
+    clearButton.addEventListener('click', () => onLabel(info.kind, ''));
+    form.appendChild(clearButton);
+  }
+  
+  const status = document.createElement('span');
+  status.className = 'kind-label-status';
+  status.id = 'kind-label-status';
+  form.appendChild(status);
+  
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    onLabel(info.kind, input.value);
+  });
+  
+  return form;
+}
+
+/**
+ * Create the investigation report of an unregistered kind
+ * @param {Object} investigation - The result of investigateKind
+ * @returns {HTMLElement} The report
+ */
+function createKindInvestigation(investigation) {
+  const report = document.createElement('div');
+  report.className = 'kind-investigation';
+  
+  const formatShare = ({ count, share }) => `${count} (${share}%)`;
+  const { contentLength } = investigation;
+  
+  const facts = [
+    ['Sample', `${investigation.sampleSize} event${investigation.sampleSize === 1 ? '' : 's'} by ${investigation.authors} author${investigation.authors === 1 ? '' : 's'}`],
+    ['Range', investigation.range],
+    ['Content', investigation.contentShapes.map(entry => `${entry.shape} ${formatShare(entry)}`).join(' · ')],
+    ['Content length', `${contentLength.min}–${contentLength.max} characters, median ${contentLength.median}`],
+    ['Published by', investigation.clients.map(entry => `${entry.name} ${entry.count}`).join(' · ') || 'unknown']
+  ];
+  
+  const list = document.createElement('dl');
+  facts.forEach(([term, description]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = description;
+    list.append(dt, dd);
+  });
+  report.appendChild(list);
+  
+  if (investigation.tags.length === 0) {
+    const noTags = document.createElement('p');
+    noTags.textContent = 'None of the events has tags.';
+    report.appendChild(noTags);
+    return report;
+  }
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Tag', 'Events', 'Per event', 'Example'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  investigation.tags.forEach(tag => {
+    const tr = document.createElement('tr');
+    
+    [tag.name, formatShare({ count: tag.events, share: tag.share }), tag.perEvent, tag.example].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    table.appendChild(tr);
+  });
+  
+  report.appendChild(table);
+  return report;
+}
+
+/**
+ * Format a latency for the relay health table
+ * @param {number} [ms] - The latency in milliseconds
+ * @returns {string} The latency, or a dash if it was not measured
+ */
+function formatLatency(ms) {
+  return ms === undefined ? '–' : `${ms} ms`;
+}
+
+/**
+ * Display the health of each relay: status and latency from the last fetch,
+ * and what its NIP-11 information document advertises
+ * @param {Object[]} records - Records from summarizeRelayHealth
+ * @param {Function} onRemove - Called with a list of relay URLs to remove from the relay list
+ */
+function displayRelayHealth(records, onRemove) {
+  const healthSummary = document.getElementById('relay-health-summary');
+  const healthContainer = document.getElementById('relay-health');
+  if (!healthSummary || !healthContainer) return;
+  
+  healthContainer.innerHTML = '';
+  
+  const unreachable = records
+    .filter(record => record.status === RELAY_HEALTH.UNREACHABLE)
+    .map(record => record.relay);
+  
+  healthSummary.textContent = unreachable.length > 0
+    ? `Relay health (${unreachable.length} unreachable)`
+    : 'Relay health';
+  
+  if (records.length === 0) return;
+  
+  if (unreachable.length > 0) {
+    const removeAllButton = document.createElement('button');
+    removeAllButton.type = 'button';
+    removeAllButton.className = 'remove-relays-button';
+    removeAllButton.textContent = `Remove ${unreachable.length} unreachable relay${unreachable.length === 1 ? '' : 's'} from the list`;
+    removeAllButton.addEventListener('click', () => onRemove(unreachable));
+    healthContainer.appendChild(removeAllButton);
+  }
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table relay-health-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Relay', 'Found in', 'Status', 'Connect', 'First EOSE', 'Software', 'NIPs', 'Limits', ''].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  records.forEach(record => {
+    const tr = document.createElement('tr');
+    tr.className = `relay-health-${record.status.replace(' ', '-')}`;
+    
+    const info = record.info;
+    
+    const relayCell = document.createElement('td');
+    relayCell.textContent = info && info.name ? `${info.name} (${record.relay})` : record.relay;
+    if (info && info.description) {
+      relayCell.title = info.description;
+    }
+    tr.appendChild(relayCell);
+    
+    const originCell = document.createElement('td');
+    originCell.textContent = record.origins.join(', ') || '–';
+    tr.appendChild(originCell);
+    
+    const statusCell = document.createElement('td');
+    statusCell.textContent = record.status;
+    if (record.error) {
+      statusCell.title = record.error;
+    }
+    tr.appendChild(statusCell);
+    
+    let infoValues;
+    
+    // The document is still loading while `info` is undefined
+    if (info === undefined) {
+      infoValues = ['…', '…', '…'];
+    } else if (info === null) {
+      infoValues = [`No NIP-11 document (${record.infoError})`];
+    } else {
+      const softwareName = typeof info.software === 'string' ? info.software.replace(/^(git\+)?(https?:\/\/)?/, '') : '';
+      infoValues = [
+        [softwareName, info.version].filter(Boolean).join(' ') || '–',
+        Array.isArray(info.supported_nips) ? info.supported_nips.join(', ') : '–',
+        describeRelayLimits(info).join(', ') || '–'
+      ];
+    }
+    
+    [formatLatency(record.connectMs), formatLatency(record.eoseMs), ...infoValues].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    // A missing document spans the software, NIPs and limits columns
+    if (infoValues.length === 1) {
+      tr.lastChild.colSpan = 3;
+    }
+    
+    const actionCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'remove-relay-button';
+    removeButton.textContent = 'Remove';
+    removeButton.title = 'Remove this relay from the relay list';
+    removeButton.addEventListener('click', () => onRemove([record.relay]));
+    actionCell.appendChild(removeButton);
+    tr.appendChild(actionCell);
+    
+    table.appendChild(tr);
+  });
+  
+  healthContainer.appendChild(table);
+}
+
+/**
+ * Display the relay coverage matrix
+ * @param {Object[]} coverage - Coverage rows from analyzeRelayCoverage
+ * @param {number} totalEvents - Total number of events fetched
+ */
+function displayRelayCoverage(coverage, totalEvents) {
+  const coverageContainer = document.getElementById('relay-coverage');
+  if (!coverageContainer) return;
+  
+  coverageContainer.innerHTML = '';
+  
+  if (coverage.length === 0) return;
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Relay', 'Events held', 'Share', 'Only on this relay'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  coverage.forEach(row => {
+    const tr = document.createElement('tr');
+    
+    if (row.count === 0) {
+      tr.className = 'coverage-empty';
+    } else if (row.unique > 0) {
+      tr.className = 'coverage-at-risk';
+    }
+    
+    const share = totalEvents > 0 ? Math.round((row.count / totalEvents) * 100) : 0;
+    
+    [row.relay, row.count, `${share}%`, row.unique].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
     });
     
-    eventsToDisplay = allEvents.sort((a, b) => b.created_at - a.created_at);
-  } else {
-    // Display events of the selected kind
-    const kind = parseInt(selectedKind, 10);
-    eventsToDisplay = kindGroups[kind] || [];
+    table.appendChild(tr);
+  });
+  
+  coverageContainer.appendChild(table);
+}
+
+/**
+ * Display the lint report, listing issues by rule and kind
+ * @param {Object} report - Report from lintKindGroups
+ * @param {Function} onSelect - Called with a kind when its row is clicked
+ */
+function displayLintReport(report, onSelect) {
+  const summary = document.getElementById('lint-summary');
+  const container = document.getElementById('lint-report');
+  if (!summary || !container) return;
+  
+  container.innerHTML = '';
+  
+  if (report.rows.length === 0) {
+    summary.textContent = 'Lint: no issues';
+    container.textContent = 'Every event passed the checks for its kind.';
+    return;
   }
   
-  // If there are no events to display, show a message
-  if (eventsToDisplay.length === 0) {
-    const noEventsMessage = document.createElement('p');
-    noEventsMessage.textContent = 'No events found for the selected kind.';
-    eventsContainer.appendChild(noEventsMessage);
+  summary.textContent = `Lint: ${report.totalIssues} issue${report.totalIssues === 1 ? '' : 's'} in ${report.affectedEvents} event${report.affectedEvents === 1 ? '' : 's'}`;
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table lint-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Rule', 'Kind', 'Severity', 'Issues', 'Example'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  report.rows.forEach(row => {
+    const tr = document.createElement('tr');
+    tr.className = `lint-row lint-${row.severity}`;
+    tr.title = `${row.description}. Click to show kind ${row.kind}.`;
+    tr.addEventListener('click', () => onSelect(row.kind));
+    
+    [row.rule, `${row.kind} - ${getKindName(row.kind)}`, row.severity, row.count, row.example].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    table.appendChild(tr);
+  });
+  
+  container.appendChild(table);
+}
+
+/**
+ * Format the change of a kind's count between the two sides of a comparison
+ * @param {Object} row - A row from compareKinds
+ * @returns {string} The percentage change, e.g. "+25%", or "new" for kinds
+ *   only on the second side
+ */
+function formatPercentDelta(row) {
+  if (row.percent === null) return 'new';
+  
+  const rounded = Math.round(row.percent);
+  return `${rounded > 0 ? '+' : ''}${rounded}%`;
+}
+
+/**
+ * Display the per-kind comparison of two sides of a fetch
+ * @param {Object|null} comparison - The result of compareKinds, or null to hide the panel
+ * @param {string[]} labels - Descriptions of the two sides
+ * @param {Function} onSelect - Called with a kind when its row is clicked
+ */
+function displayComparison(comparison, labels, onSelect) {
+  const panel = document.getElementById('comparison-panel');
+  const summary = document.getElementById('comparison-summary');
+  const container = document.getElementById('comparison');
+  if (!panel || !summary || !container) return;
+  
+  container.innerHTML = '';
+  
+  if (!comparison) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  panel.style.display = '';
+  summary.textContent = `Comparison: ${comparison.totals.a} vs ${comparison.totals.b} events, ` +
+    `${comparison.onlyA} kind${comparison.onlyA === 1 ? '' : 's'} only in A, ` +
+    `${comparison.onlyB} only in B`;
+  
+  const legend = document.createElement('p');
+  legend.className = 'comparison-legend';
+  legend.textContent = `A: ${labels[0]} — B: ${labels[1]}`;
+  container.appendChild(legend);
+  
+  if (comparison.rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'Neither side has any events.';
+    container.appendChild(empty);
     return;
   }
   
-  // Display the events
-  eventsToDisplay.forEach(event => {
-    const eventElement = createEventElement(event);
-    eventsContainer.appendChild(eventElement);
+  const table = document.createElement('table');
+  table.className = 'coverage-table comparison-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Kind', 'A', 'B', 'Change', 'Change %', ''].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  comparison.rows.forEach(row => {
+    const tr = document.createElement('tr');
+    tr.title = `Click to show kind ${row.kind}`;
+    tr.addEventListener('click', () => onSelect(row.kind));
+    
+    if (row.only) {
+      tr.className = `comparison-only-${row.only}`;
+    }
+    
+    const note = row.only ? `only in ${row.only.toUpperCase()}` : '';
+    
+    [
+      `${row.kind} - ${getKindName(row.kind)}`,
+      row.a,
+      row.b,
+      `${row.delta > 0 ? '+' : ''}${row.delta}`,
+      formatPercentDelta(row),
+      note
+    ].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    table.appendChild(tr);
   });
+  
+  container.appendChild(table);
 }
 
 /**
- * Create an HTML element for an event
- * @param {Object} event - Nostr event object
- * @returns {HTMLElement} The event element
+ * Maximum number of authors listed in the author breakdown
  */
-function createEventElement(event) {
-  const eventElement = document.createElement('div');
-  eventElement.className = 'event';
+const MAX_AUTHOR_ROWS = 100;
+
+/**
+ * Display the per-author breakdown of event counts
+ * @param {Object} kindAuthorCounts - Event counts per author, grouped by kind
+ * @param {string|number} selectedKind - The selected kind, or 'all' for all kinds
+ */
+function displayAuthorBreakdown(kindAuthorCounts, selectedKind) {
+  const panel = document.getElementById('author-breakdown-panel');
+  const container = document.getElementById('author-breakdown');
+  if (!panel || !container) return;
   
-  // Create the event header
-  const eventHeader = document.createElement('div');
-  eventHeader.className = 'event-header';
+  container.innerHTML = '';
   
-  // Format the timestamp
-  const timestamp = formatTimestamp(event.created_at);
+  // Total events and kinds per author for the selection
+  const authorTotals = {};
+  const kinds = selectedKind === 'all'
+    ? Object.keys(kindAuthorCounts)
+    : [String(parseInt(selectedKind, 10))];
   
-  // Get the kind name
-  const kindName = getKindName(event.kind);
+  kinds.forEach(kind => {
+    Object.entries(kindAuthorCounts[kind] || {}).forEach(([pubkey, count]) => {
+      if (!authorTotals[pubkey]) {
+        authorTotals[pubkey] = { pubkey, count: 0, kinds: 0 };
+      }
+      
+      authorTotals[pubkey].count += count;
+      authorTotals[pubkey].kinds++;
+    });
+  });
   
-  // Set the header text
-  eventHeader.textContent = `${timestamp} - Kind ${event.kind} (${kindName})`;
+  const rows = Object.values(authorTotals).sort((a, b) => b.count - a.count);
   
-  // Create the event content
-  const eventContent = document.createElement('pre');
-  eventContent.className = 'event-content';
-  eventContent.textContent = formatEventJson(event);
+  // The breakdown is only useful when several authors were explored
+  const allAuthors = new Set();
+  Object.values(kindAuthorCounts).forEach(counts => {
+    Object.keys(counts).forEach(pubkey => allAuthors.add(pubkey));
+  });
   
-  // Add the header and content to the event element
-  eventElement.appendChild(eventHeader);
-  eventElement.appendChild(eventContent);
+  panel.style.display = allAuthors.size > 1 ? 'block' : 'none';
+  if (allAuthors.size <= 1) return;
   
-  return eventElement;
+  const summary = document.createElement('p');
+  summary.textContent = `${rows.length} of ${allAuthors.size} authors published ${selectedKind === 'all' ? 'events' : `kind ${selectedKind}`}.`;
+  container.appendChild(summary);
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Author', 'Events', 'Kinds'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  rows.slice(0, MAX_AUTHOR_ROWS).forEach(row => {
+    const tr = document.createElement('tr');
+    
+    [formatPubkey(row.pubkey), row.count, row.kinds].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    tr.firstChild.title = row.pubkey;
+    table.appendChild(tr);
+  });
+  
+  container.appendChild(table);
+  
+  if (rows.length > MAX_AUTHOR_ROWS) {
+    const more = document.createElement('p');
+    more.textContent = `…and ${rows.length - MAX_AUTHOR_ROWS} more authors.`;
+    container.appendChild(more);
+  }
+}
+
+/**
+ * Display which clients published the events of a kind selection
+ * Clients come from NIP-89 `client` tags; events without one are grouped by
+ * their publishing habits.
+ * @param {Object} kindClientCounts - Event counts per client key, grouped by kind
+ * @param {Object} clients - Clients keyed by client key, from analyzeEvents
+ * @param {string|number} selectedKind - The selected kind, or 'all' for all kinds
+ * @param {string} selectedClient - The client key the events are filtered by, or ''
+ * @param {Function} onSelect - Called with a client key when its row is clicked
+ */
+function displayClientBreakdown(kindClientCounts, clients, selectedKind, selectedClient, onSelect) {
+  const summary = document.getElementById('client-breakdown-summary');
+  const container = document.getElementById('client-breakdown');
+  if (!summary || !container) return;
+  
+  container.innerHTML = '';
+  
+  // Events and kinds per client for the selection
+  const clientTotals = {};
+  const kinds = selectedKind === 'all'
+    ? Object.keys(kindClientCounts)
+    : [String(parseInt(selectedKind, 10))];
+  let total = 0;
+  
+  kinds.forEach(kind => {
+    Object.entries(kindClientCounts[kind] || {}).forEach(([key, count]) => {
+      if (!clientTotals[key]) {
+        clientTotals[key] = { client: clients[key], count: 0, kinds: 0 };
+      }
+      
+      clientTotals[key].count += count;
+      clientTotals[key].kinds++;
+      total += count;
+    });
+  });
+  
+  const rows = Object.values(clientTotals).sort((a, b) => b.count - a.count);
+  const tagged = rows.filter(row => !row.client.inferred).length;
+  
+  summary.textContent = rows.length === 0
+    ? 'Published by'
+    : `Published by: ${tagged} client${tagged === 1 ? '' : 's'} named in client tags`;
+  
+  if (rows.length === 0) return;
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table client-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Published by', 'NIP-89 handler', 'Events', 'Share', 'Kinds'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  rows.forEach(row => {
+    const { client } = row;
+    const tr = document.createElement('tr');
+    tr.title = client.key === selectedClient
+      ? 'Click to show the events of all clients'
+      : 'Click to show only the events of this client';
+    tr.addEventListener('click', () => onSelect(client.key === selectedClient ? '' : client.key));
+    
+    if (client.inferred) tr.classList.add('client-inferred');
+    if (client.key === selectedClient) tr.classList.add('client-selected');
+    
+    const handler = client.handler ? client.handlerName || formatHandlerAddress(client.handler) : '';
+    const share = `${Math.round((row.count / total) * 100)}%`;
+    
+    [client.name, handler, row.count, share, row.kinds].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    if (client.handler) {
+      tr.children[1].title = client.recommended
+        ? `${client.handler} (linked through a kind 31989 recommendation)`
+        : client.handler;
+    }
+    
+    table.appendChild(tr);
+  });
+  
+  container.appendChild(table);
+}
+
+/**
+ * Shorten a NIP-89 handler address for display
+ * @param {string} address - The `31990:<pubkey>:<d>` address
+ * @returns {string} The d tag and the shortened author key
+ */
+function formatHandlerAddress(address) {
+  const [, pubkey, identifier] = address.split(':');
+  return `${identifier || '(no d tag)'} by ${formatPubkey(pubkey)}`;
+}
+
+/**
+ * Maximum number of malformed entries listed in the import report
+ */
+const MAX_IMPORT_ERRORS = 50;
+
+/**
+ * Describe where an import error was found
+ * @param {Object} error - Import error (`file`, `line` or `entry`, `message`)
+ * @returns {string} The formatted error
+ */
+function formatImportError(error) {
+  const location = error.line !== undefined ? `line ${error.line}` : `entry ${error.entry}`;
+  return `${error.file ? `${error.file} ` : ''}${location}: ${error.message}`;
+}
+
+/**
+ * Display the result of a file import
+ * @param {number} importedCount - Number of valid events read from the files
+ * @param {Object[]} errors - Malformed entries found while importing
+ */
+function displayImportReport(importedCount, errors) {
+  const report = document.getElementById('import-report');
+  if (!report) return;
+  
+  report.innerHTML = '';
+  report.style.display = 'block';
+  
+  const summary = document.createElement('p');
+  summary.textContent = `Imported ${importedCount} event${importedCount === 1 ? '' : 's'} from file. ` +
+    `${errors.length} malformed entr${errors.length === 1 ? 'y was' : 'ies were'} skipped.`;
+  report.appendChild(summary);
+  
+  if (errors.length === 0) return;
+  
+  const list = document.createElement('ul');
+  errors.slice(0, MAX_IMPORT_ERRORS).forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = formatImportError(error);
+    list.appendChild(item);
+  });
+  
+  if (errors.length > MAX_IMPORT_ERRORS) {
+    const item = document.createElement('li');
+    item.textContent = `…and ${errors.length - MAX_IMPORT_ERRORS} more.`;
+    list.appendChild(item);
+  }
+  
+  report.appendChild(list);
+}
+
+/**
+ * Show why a file could not be imported below the import button
+ * @param {string} message - The message to show (empty to clear it)
+ */
+function displayImportStatus(message) {
+  const importStatus = document.getElementById('import-status');
+  if (importStatus) importStatus.textContent = message;
+}
+
+/**
+ * Show the state of the live session: relay connections, events received and
+ * the rate per kind
+ * @param {Object|null} status - Status from getLiveStatus, or null when live mode is off
+ */
+function displayLiveStatus(status) {
+  const liveStatus = document.getElementById('live-status');
+  const liveRelays = document.getElementById('live-relays');
+  const liveRates = document.getElementById('live-rates');
+  const pauseButton = document.getElementById('live-pause-button');
+  if (!liveStatus || !liveRelays || !liveRates) return;
+  
+  liveRelays.innerHTML = '';
+  liveRates.innerHTML = '';
+  
+  if (pauseButton) {
+    pauseButton.disabled = !status;
+    pauseButton.textContent = status && status.paused ? 'Resume' : 'Pause';
+  }
+  
+  liveStatus.classList.remove('live-error');
+  
+  if (!status) {
+    liveStatus.textContent = '';
+    return;
+  }
+  
+  const liveCount = status.relays.filter(relay => relay.status === 'live').length;
+  let text = `Live on ${liveCount}/${status.relays.length} relays · ${status.received} new event${status.received === 1 ? '' : 's'}`;
+  if (status.paused) {
+    text += ` · paused (${status.pending} waiting)`;
+  }
+  liveStatus.textContent = text;
+  
+  // Only relays that are not streaming are listed
+  status.relays.filter(relay => relay.status !== 'live').forEach(relay => {
+    const item = document.createElement('li');
+    item.className = `relay-progress-item relay-${relay.status === 'reconnecting' ? 'failed' : 'connecting'}`;
+    
+    if (relay.status === 'reconnecting') {
+      const seconds = Math.max(0, Math.ceil((relay.retryAt - Date.now()) / 1000));
+      item.textContent = `${relay.relay}: reconnecting in ${seconds}s (attempt ${relay.attempts})`;
+    } else {
+      item.textContent = `${relay.relay}: ${relay.status}`;
+    }
+    
+    liveRelays.appendChild(item);
+  });
+  
+  Object.entries(status.rates)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([kind, count]) => {
+      const rate = document.createElement('span');
+      rate.className = 'live-rate';
+      rate.textContent = `${kind} · ${getKindName(parseInt(kind, 10))}: ${count}/min`;
+      liveRates.appendChild(rate);
+    });
+}
+
+/**
+ * Show why live mode could not be turned on
+ * @param {string} message - The error message
+ */
+function displayLiveError(message) {
+  const liveStatus = document.getElementById('live-status');
+  if (!liveStatus) return;
+  
+  liveStatus.textContent = message;
+  liveStatus.classList.add('live-error');
+}
+
+/**
+ * Show a message above the relay health table
+ * @param {string} message - The message to show (empty to clear it)
+ */
+function displayRelayHealthStatus(message) {
+  const healthStatus = document.getElementById('relay-health-status');
+  if (healthStatus) healthStatus.textContent = message;
+}
+
+/**
+ * Format a cached time range
+ * @param {number[]} range - Inclusive [since, until] range in seconds
+ * @returns {string} The formatted range
+ */
+function formatCacheRange(range) {
+  const start = range[0] === 0 ? 'beginning' : new Date(range[0] * 1000).toLocaleDateString();
+  const end = new Date(range[1] * 1000).toLocaleDateString();
+  return `${start} – ${end}`;
+}
+
+/**
+ * Display the local cache contents
+ * @param {Object|null} status - Cache status from getCacheStatus, or null if the cache is unavailable
+ */
+function displayCacheStatus(status) {
+  const summary = document.getElementById('cache-summary');
+  const container = document.getElementById('cache-status');
+  if (!summary || !container) return;
+  
+  container.innerHTML = '';
+  
+  if (!status) {
+    summary.textContent = '(unavailable)';
+    return;
+  }
+  
+  summary.textContent = `(${status.eventCount} events, ${status.authors.length} author${status.authors.length === 1 ? '' : 's'})`;
+  
+  if (status.authors.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'The cache is empty.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  const table = document.createElement('table');
+  table.className = 'coverage-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Author', 'Cached events', 'Fetched ranges'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+  table.appendChild(headerRow);
+  
+  status.authors.slice(0, MAX_AUTHOR_ROWS).forEach(author => {
+    const tr = document.createElement('tr');
+    
+    const coverage = author.coverage.map(record => {
+      const kindLabel = record.kind === null ? 'all kinds' : `kind ${record.kind}`;
+      return `${kindLabel} from ${record.relay}: ${record.ranges.map(formatCacheRange).join(', ')}`;
+    }).join('; ');
+    
+    [formatPubkey(author.pubkey), author.events, coverage].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    
+    tr.firstChild.title = author.pubkey;
+    table.appendChild(tr);
+  });
+  
+  container.appendChild(table);
+}
+
+/**
+ * Replace the options of a select, after its first (placeholder) option
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string[]} names - The option values and labels
+ * @param {string} selected - The value to select, if it is one of the names
+ */
+function fillNameOptions(select, names, selected) {
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+  
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  
+  select.value = names.includes(selected) ? selected : '';
+}
+
+/**
+ * Show the saved queries and relay sets in their selects
+ * @param {Object} saved - `queries` and `relaySets` from loadSavedQueries
+ * @param {string} selectedQuery - Name of the query to select, or ''
+ * @param {string} selectedRelaySet - Name of the relay set to select, or ''
+ */
+function displaySavedQueries(saved, selectedQuery, selectedRelaySet) {
+  const querySelect = document.getElementById('saved-query-select');
+  const deleteQueryButton = document.getElementById('delete-query-button');
+  const relaySetSelect = document.getElementById('relay-set-select');
+  const deleteRelaySetButton = document.getElementById('delete-relay-set-button');
+  
+  if (querySelect) {
+    fillNameOptions(querySelect, saved.queries.map(query => query.name), selectedQuery);
+    
+    if (deleteQueryButton) {
+      deleteQueryButton.disabled = !querySelect.value;
+    }
+  }
+  
+  if (relaySetSelect) {
+    fillNameOptions(relaySetSelect, saved.relaySets.map(relaySet => relaySet.name), selectedRelaySet);
+    
+    if (deleteRelaySetButton) {
+      deleteRelaySetButton.disabled = !relaySetSelect.value;
+    }
+  }
+}
+
+/**
+ * Show a message below the saved query bar
+ * @param {string} message - The message to show (empty to clear it)
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function displayWorkspaceStatus(message, isError = false) {
+  const workspaceStatus = document.getElementById('workspace-status');
+  if (!workspaceStatus) return;
+  
+  workspaceStatus.textContent = message;
+  workspaceStatus.classList.toggle('workspace-error', isError);
+}
+
+/**
+ * Show a message next to the export button
+ * @param {string} message - The message to show (empty to clear it)
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function displayExportStatus(message, isError = false) {
+  const exportStatus = document.getElementById('export-status');
+  if (!exportStatus) return;
+  
+  exportStatus.textContent = message;
+  exportStatus.classList.toggle('export-error', isError);
+}
+
+/**
+ * Show why a kind label could not be saved below the label field
+ * @param {string} message - The message
+ */
+function displayKindLabelStatus(message) {
+  const labelStatus = document.getElementById('kind-label-status');
+  if (!labelStatus) return;
+  
+  labelStatus.textContent = message;
 }
 
 /**
@@ -102,6 +1660,15 @@ function showLoadingStatus() {
   if (errorSection) errorSection.style.display = 'none';
 }
 
+/**
+ * Update the message shown in the status section
+ * @param {string} message - The status message
+ */
+function updateStatusMessage(message) {
+  const statusMessage = document.getElementById('status-message');
+  if (statusMessage) statusMessage.textContent = message;
+}
+
 /**
  * Show the results section
  */
@@ -159,14 +1726,63 @@ function resetUI() {
   const eventsFound = document.getElementById('events-found');
   if (eventsFound) eventsFound.textContent = 'Events found: 0';
   
+  // Clear the per-relay progress
+  const relayProgress = document.getElementById('relay-progress');
+  if (relayProgress) relayProgress.innerHTML = '';
+  
   // Reset the total events
   const totalEvents = document.getElementById('total-events');
   if (totalEvents) totalEvents.textContent = 'Total events: 0';
   
+  // Clear the export message
+  displayExportStatus('');
+  
+  // Close the thread view
+  hideThread();
+  
+  // Clear the relay health panel
+  displayRelayHealth([], null);
+  displayRelayHealthStatus('');
+  
+  // Hide the comparison
+  displayComparison(null, [], null);
+  
+  // Clear the client breakdown and filter
+  displayClientBreakdown({}, {}, 'all', '', null);
+  populateClientFilter({});
+  
+  // Clear the lint report
+  const lintSummary = document.getElementById('lint-summary');
+  if (lintSummary) lintSummary.textContent = 'Lint';
+  const lintReport = document.getElementById('lint-report');
+  if (lintReport) lintReport.innerHTML = '';
+  
+  // Clear the kind description
+  const kindInfo = document.getElementById('kind-info');
+  if (kindInfo) {
+    kindInfo.innerHTML = '';
+    kindInfo.style.display = 'none';
+  }
+  
   // Reset the unique kinds
   const uniqueKinds = document.getElementById('unique-kinds');
   if (uniqueKinds) uniqueKinds.textContent = 'Unique kinds: 0';
   
+  // Reset the unique authors
+  const uniqueAuthors = document.getElementById('unique-authors');
+  if (uniqueAuthors) uniqueAuthors.textContent = 'Authors: 0';
+  
+  // Hide the author breakdown
+  const authorBreakdownPanel = document.getElementById('author-breakdown-panel');
+  if (authorBreakdownPanel) authorBreakdownPanel.style.display = 'none';
+  
+  // Reset the invalid events
+  const invalidEvents = document.getElementById('invalid-events');
+  if (invalidEvents) {
+    invalidEvents.textContent = 'Invalid events: 0';
+    invalidEvents.classList.remove('has-invalid');
+  }
+  
   // Reset the kind dropdown
   const kindDropdown = document.getElementById('kind-dropdown');
   if (kindDropdown) {
@@ -176,7 +1792,26 @@ function resetUI() {
     }
   }
   
+  // Clear the relay coverage matrix
+  const relayCoverage = document.getElementById('relay-coverage');
+  if (relayCoverage) relayCoverage.innerHTML = '';
+  
+  // Clear the charts
+  const kindShareChart = document.getElementById('kind-share-chart');
+  if (kindShareChart) kindShareChart.innerHTML = '';
+  
+  const kindTimelineChart = document.getElementById('kind-timeline-chart');
+  if (kindTimelineChart) kindTimelineChart.innerHTML = '';
+  
+  // Hide the import report
+  const importReport = document.getElementById('import-report');
+  if (importReport) {
+    importReport.innerHTML = '';
+    importReport.style.display = 'none';
+  }
+  
   // Clear the events container
+  clearEventList();
   const eventsContainer = document.getElementById('events-container');
   if (eventsContainer) eventsContainer.innerHTML = '';
 }
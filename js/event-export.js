@@ -0,0 +1,124 @@
+/**
+ * Event Export Module
+ * Handles exporting events as JSONL, JSON and CSV files
+ */
+
+/**
+ * Supported export formats
+ * JSONL (one event per line) is the format `nak` and relays such as strfry import.
+ */
+const EXPORT_FORMATS = {
+  jsonl: { label: 'JSONL (relay import)', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  json: { label: 'JSON array', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * Serialize events as newline-delimited JSON
+ * @param {Object[]} events - Array of Nostr events
+ * @returns {string} One JSON event per line
+ */
+function eventsToJsonl(events) {
+  return events.map(event => JSON.stringify(toPlainEvent(event))).join('\n') + '\n';
+}
+
+/**
+ * Serialize events as a pretty-printed JSON array
+ * @param {Object[]} events - Array of Nostr events
+ * @returns {string} JSON array
+ */
+function eventsToJson(events) {
+  return JSON.stringify(events.map(toPlainEvent), null, 2);
+}
+
+/**
+ * Quote a value for CSV if it contains separators, quotes or line breaks
+ * @param {*} value - The value to quote
+ * @returns {string} The CSV field
+ */
+function escapeCsvField(value) {
+  const text = String(value);
+  
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  
+  return text;
+}
+
+/**
+ * Serialize events as a flattened CSV
+ * @param {Object[]} events - Array of Nostr events
+ * @returns {string} CSV with id, pubkey, kind, created_at, content and tag count columns
+ */
+function eventsToCsv(events) {
+  const header = ['id', 'pubkey', 'kind', 'created_at', 'content', 'tag_count'];
+  
+  const rows = events.map(event => [
+    event.id,
+    event.pubkey,
+    event.kind,
+    event.created_at,
+    event.content,
+    event.tags.length
+  ].map(escapeCsvField).join(','));
+  
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize events in the given format
+ * @param {Object[]} events - Array of Nostr events
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {string} The serialized events
+ */
+function serializeEvents(events, format) {
+  switch (format) {
+    case 'jsonl':
+      return eventsToJsonl(events);
+    case 'json':
+      return eventsToJson(events);
+    case 'csv':
+      return eventsToCsv(events);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Offer content to the user as a file download
+ * @param {string} filename - The file name
+ * @param {string} content - The file content
+ * @param {string} mimeType - The MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export events to a file in the given format
+ * @param {Object[]} events - Array of Nostr events
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {string} label - Describes the exported slice, used in the file name
+ */
+function exportEvents(events, format, label) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  
+  const date = new Date().toISOString().substring(0, 10);
+  const filename = `nostr-events-${label}-${date}.${exportFormat.extension}`;
+  
+  downloadFile(filename, serializeEvents(events, format), exportFormat.mimeType);
+}
@@ -31,10 +31,32 @@ function normalizePublicKey(pubkey) {
   throw new Error('Invalid public key format');
 }
 
+/**
+ * Maximum number of authors sent in a single filter
+ * Relays reject or truncate filters with very long author lists
+ */
+const AUTHOR_BATCH_SIZE = 100;
+
+/**
+ * Split a list of authors into batches for separate filters
+ * @param {string[]} pubkeys - Public keys in hex format
+ * @param {number} [batchSize] - Maximum number of authors per batch
+ * @returns {string[][]} Array of author batches
+ */
+function batchAuthors(pubkeys, batchSize = AUTHOR_BATCH_SIZE) {
+  const batches = [];
+  
+  for (let i = 0; i < pubkeys.length; i += batchSize) {
+    batches.push(pubkeys.slice(i, i + batchSize));
+  }
+  
+  return batches;
+}
+
 /**
  * Create a filter object for fetching events
  * @param {Object} options - Filter options
- * @param {string} options.pubkey - The public key in hex format
+ * @param {string[]} options.authors - The public keys in hex format
  * @param {Date} [options.startDate] - Start date for filtering
  * @param {Date} [options.endDate] - End date for filtering
  * @param {number} [options.kind] - Specific kind to filter by
@@ -42,7 +64,7 @@ function normalizePublicKey(pubkey) {
  */
 function createFilter(options) {
   const filter = {
-    authors: [options.pubkey],
+    authors: options.authors,
   };
   
   // Add since filter if startDate is provided
@@ -63,146 +85,587 @@ function createFilter(options) {
   return filter;
 }
 
+// Relay URLs each event was received from, keyed by event id
+const eventSources = new Map();
+
 /**
- * Fetch events from a single relay
+ * Record that an event was received from a relay
+ * @param {string} eventId - The event id
+ * @param {string} relay - The relay URL
+ */
+function recordEventSource(eventId, relay) {
+  if (!eventSources.has(eventId)) {
+    eventSources.set(eventId, new Set());
+  }
+  
+  eventSources.get(eventId).add(relay);
+}
+
+/**
+ * Get the relays an event was received from
+ * @param {string} eventId - The event id
+ * @returns {string[]} Array of relay URLs
+ */
+function getEventSources(eventId) {
+  const sources = eventSources.get(eventId);
+  return sources ? Array.from(sources) : [];
+}
+
+/**
+ * Forget the recorded sources of all events
+ */
+function clearEventSources() {
+  eventSources.clear();
+}
+
+// Progress of each relay in the last fetch, keyed by relay URL
+let lastRelayProgress = {};
+
+/**
+ * Get the progress of each relay in the last fetch
+ * Records have `status`, `error`, `connectMs` and `eoseMs` (when measured),
+ * and `covered`: the range each filter was sent in full (see fetchAllPages).
+ * @returns {Object} Progress records keyed by relay URL
+ */
+function getLastRelayProgress() {
+  return lastRelayProgress;
+}
+
+/**
+ * Time to wait for a relay to connect, or to send the next event of a page (10 seconds as per spec)
+ */
+const RELAY_TIMEOUT_MS = 10000;
+
+/**
+ * Upper bound on the number of pages requested for a single filter from one relay
+ * Guards against relays that ignore `until` and keep returning new events
+ */
+const MAX_PAGES_PER_FILTER = 200;
+
+/**
+ * Reject a promise if it does not settle within the given time
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message used on timeout
+ * @returns {Promise} A promise that settles with the original promise or rejects on timeout
+ */
+function withTimeout(promise, ms, message) {
+  let timeout;
+  
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timeout = setTimeout(() => reject(new Error(message)), ms);
+  });
+  
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Request a single page of events from a connected relay
+ * The timeout restarts with every event received, so a relay that is slowly
+ * sending a large page is not cut off while it is still sending. A page that
+ * times out resolves with the events received so far.
+ * @param {Object} relayInstance - The connected nostr-tools relay
+ * @param {Object} filter - The filter object for this page
+ * @returns {Promise<Object>} A promise that resolves to `{ events, complete }`,
+ *   where `complete` is false if the relay went quiet before EOSE
+ */
+function fetchPage(relayInstance, filter) {
+  return new Promise((resolve) => {
+    const events = [];
+    // Signatures are checked by the explorer itself so invalid events are reported rather than dropped
+    const sub = relayInstance.sub([filter], { skipVerification: true });
+    
+    let timeout = null;
+    
+    const finish = (complete) => {
+      clearTimeout(timeout);
+      sub.unsub();
+      resolve({ events, complete });
+    };
+    
+    const restartTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => finish(false), RELAY_TIMEOUT_MS);
+    };
+    
+    restartTimeout();
+    
+    sub.on('event', (event) => {
+      events.push(event);
+      restartTimeout();
+    });
+    
+    sub.on('eose', () => finish(true));
+  });
+}
+
+/**
+ * Fetch every page of a filter from a connected relay
+ * @param {Object} relayInstance - The connected nostr-tools relay
  * @param {string} relay - The relay URL
  * @param {Object} filter - The filter object
+ * @param {Set<string>} seenIds - IDs this relay has already sent
  * @param {Object} eventMap - Map to store events (for deduplication)
  * @param {Object} stats - Object to track statistics
- * @returns {Promise} A promise that resolves when fetching is complete
+ * @param {Object} progress - Progress record for this relay
+ * @returns {Promise<Object|null>} A promise that resolves when the relay stops
+ *   returning new events, times out or reaches MAX_PAGES_PER_FILTER (the last
+ *   two mark the progress record `incomplete`), to the `since` and `until` of
+ *   the part of the filter's range the relay sent in full, or null
  */
-function fetchFromRelay(relay, filter, eventMap, stats) {
-  return new Promise((resolve, reject) => {
-    let timeout;
-    let hasResolved = false;
+async function fetchAllPages(relayInstance, relay, filter, seenIds, eventMap, stats, progress) {
+  let pageFilter = { ...filter };
+  let pages = 0;
+  let finished = false;
+  let oldestReceived = Infinity;
+  
+  while (true) {
+    if (pages >= MAX_PAGES_PER_FILTER) {
+      progress.incomplete = true;
+      progress.error = `Stopped after ${MAX_PAGES_PER_FILTER} pages from ${relay}`;
+      break;
+    }
     
-    try {
-      // Set timeout (10 seconds as per spec)
-      timeout = setTimeout(() => {
-        if (!hasResolved) {
-          stats.failedRelays++;
-          updateRelayStatus(stats);
-          reject(new Error(`Timeout connecting to ${relay}`));
-        }
-      }, 10000);
+    const requestedAt = Date.now();
+    const { events: page, complete } = await fetchPage(relayInstance, pageFilter);
+    pages++;
+    
+    // Time from the first request to its EOSE
+    if (complete && progress.eoseMs === undefined) {
+      progress.eoseMs = Date.now() - requestedAt;
+    }
+
+    progress.pages++;
+    
+    let newEvents = 0;
+    let oldest = Infinity;
+    
+    page.forEach(event => {
+      if (seenIds.has(event.id)) return;
       
-      // Connect to relay
-      const relayInstance = window.NostrTools.relayInit(relay);
+      seenIds.add(event.id);
+      recordEventSource(event.id, relay);
+      newEvents++;
+      progress.events++;
+      oldest = Math.min(oldest, event.created_at);
       
-      relayInstance.on('connect', () => {
-        stats.connectedRelays++;
-        updateRelayStatus(stats);
-      });
+      // Deduplicate events by ID, preferring a valid copy over an invalid one
+      if (!eventMap[event.id]) {
+        eventMap[event.id] = event;
+        stats.eventCount++;
+      } else if (!isEventValid(eventMap[event.id]) && isEventValid(event)) {
+        eventMap[event.id] = event;
+      }
+    });
+    
+    oldestReceived = Math.min(oldestReceived, oldest);
+    
+    // Keep the events of a page that timed out, but stop paging this filter
+    if (!complete) {
+      progress.incomplete = true;
+      progress.error = `Timeout waiting for events from ${relay}`;
+    }
+    
+    updateEventCount(stats.eventCount);
+    updateRelayProgress(stats);
+    
+    if (!complete) break;
+    
+    if (page.length === 0) {
+      finished = true;
+      break;
+    }
+    
+    if (newEvents > 0) {
+      // Continue from the oldest event received; events sharing that
+      // timestamp are requested again and skipped by seenIds
+      pageFilter = { ...pageFilter, until: oldest };
+      continue;
+    }
+    
+    // A page of events already sent: either nothing older is left, or the
+    // relay's limit is filled by events of a single second. Step past that
+    // second so the older events are still reached.
+    const pageOldest = page.reduce((min, event) => Math.min(min, event.created_at), Infinity);
+    
+    if (pageFilter.until !== undefined && pageOldest > pageFilter.until) {
+      progress.incomplete = true;
+      progress.error = `${relay} ignored the time range of the request`;
+      return null;
+    }
+    
+    if (page.every(event => event.created_at === pageOldest) && page.length > 1) {
+      console.warn(`${relay} sent a page of events from one second; events from that second past its limit may be missing`);
+    }
+    
+    if (pageFilter.since !== undefined && pageOldest - 1 < pageFilter.since) {
+      finished = true;
+      break;
+    }
+    
+    pageFilter = { ...pageFilter, until: pageOldest - 1 };
+  }
+  
+  const until = filter.until !== undefined ? filter.until : Math.floor(Date.now() / 1000);
+  
+  if (finished) {
+    return { since: filter.since !== undefined ? filter.since : 0, until };
+  }
+  
+  // Paging stopped early: only the seconds after the oldest event received
+  // are known to be complete
+  return oldestReceived + 1 <= until ? { since: oldestReceived + 1, until } : null;
+}
+
+/**
+ * Fetch events from a single relay
+ * Relays cap the number of events returned per request, so each filter is paged
+ * backwards by moving `until` to the oldest `created_at` received until a page
+ * comes back empty.
+ * @param {string} relay - The relay URL
+ * @param {Object[]} filters - The filter objects, fetched one after another
+ * @param {Object} eventMap - Map to store events (for deduplication)
+ * @param {Object} stats - Object to track statistics
+ * @returns {Promise} A promise that resolves when fetching is complete
+ */
+async function fetchFromRelay(relay, filters, eventMap, stats) {
+  const progress = {
+    status: 'connecting',
+    pages: 0,
+    events: 0,
+    batch: 0,
+    batches: filters.length,
+    covered: []
+  };
+  
+  stats.relayProgress[relay] = progress;
+  updateRelayProgress(stats);
+  
+  let relayInstance = null;
+  
+  try {
+    // Connect to relay
+    const connectStartedAt = Date.now();
+    relayInstance = window.NostrTools.relayInit(relay);
+    await withTimeout(relayInstance.connect(), RELAY_TIMEOUT_MS, `Timeout connecting to ${relay}`);
+    
+    progress.connectMs = Date.now() - connectStartedAt;
+    stats.connectedRelays++;
+    progress.status = 'fetching';
+    updateRelayStatus(stats);
+    updateRelayProgress(stats);
+    
+    // IDs this relay has sent, used to detect when paging stops bringing new events
+    const seenIds = new Set();
+    
+    // A batch that times out does not stop the batches after it
+    for (const filter of filters) {
+      progress.batch++;
+      progress.covered.push(await fetchAllPages(relayInstance, relay, filter, seenIds, eventMap, stats, progress));
+    }
+    
+    progress.status = progress.incomplete ? 'partial' : 'done';
+  } catch (error) {
+    // Keep whatever was received before the failure and continue with other relays
+    stats.failedRelays++;
+    progress.status = progress.events > 0 ? 'partial' : 'failed';
+    progress.error = (error && error.message) || 'Connection failed';
+    console.error(`Error with relay ${relay}:`, error || progress.error);
+  } finally {
+    if (relayInstance) {
+      relayInstance.close();
+    }
+    
+    stats.finishedRelays++;
+    updateRelayStatus(stats);
+    updateRelayProgress(stats);
+  }
+}
+
+/**
+ * Fetch the accounts followed by the given authors from their kind 3 contact lists
+ * Only the latest contact list of each author is used.
+ * @param {string[]} pubkeys - The authors' public keys in hex format
+ * @param {string[]} relays - Array of relay URLs
+ * @returns {Promise<string[]>} A promise that resolves to the followed public keys
+ */
+async function fetchFollows(pubkeys, relays) {
+  const contactLists = await queryRelays(relays, { kinds: [3], authors: pubkeys });
+  
+  // Keep the latest contact list per author
+  const latestLists = {};
+  contactLists.forEach(event => {
+    const current = latestLists[event.pubkey];
+    if (!current || event.created_at > current.created_at) {
+      latestLists[event.pubkey] = event;
+    }
+  });
+  
+  const follows = new Set();
+  Object.values(latestLists).forEach(event => {
+    event.tags.forEach(tag => {
+      if (tag[0] === 'p' && /^[0-9a-f]{64}$/i.test(tag[1] || '')) {
+        follows.add(tag[1].toLowerCase());
+      }
+    });
+  });
+  
+  return Array.from(follows);
+}
+
+/**
+ * Look up the write relays of each author
+ * The latest NIP-65 relay list (kind 10002) is used; authors without one fall
+ * back to the relay JSON of their latest kind 3 contact list.
+ * @param {string[]} pubkeys - The authors' public keys in hex format
+ * @param {string[]} relays - Array of relay URLs, asked along with INDEXER_RELAYS
+ * @returns {Promise<Object>} A promise that resolves to `{ relays, source }`
+ *   keyed by public key, for authors that publish a relay list
+ */
+async function fetchAuthorRelays(pubkeys, relays) {
+  const queryRelayList = mergeRelayLists(INDEXER_RELAYS, relays);
+  const results = await Promise.all(
+    batchAuthors(pubkeys).map(authors => queryRelays(queryRelayList, { kinds: [10002, 3], authors }))
+  );
+  
+  // Keep the latest event of each kind per author
+  const latest = {};
+  results.flat().forEach(event => {
+    const key = `${event.kind}:${event.pubkey}`;
+    if (!latest[key] || event.created_at > latest[key].created_at) {
+      latest[key] = event;
+    }
+  });
+  
+  const authorRelays = {};
+  
+  pubkeys.forEach(pubkey => {
+    const relayList = latest[`10002:${pubkey}`];
+    const contactList = latest[`3:${pubkey}`];
+    
+    if (relayList && getWriteRelaysFromRelayList(relayList).length > 0) {
+      authorRelays[pubkey] = { relays: getWriteRelaysFromRelayList(relayList), source: 'NIP-65 relay list' };
+    } else if (contactList && getWriteRelaysFromContactList(contactList).length > 0) {
+      authorRelays[pubkey] = { relays: getWriteRelaysFromContactList(contactList), source: 'kind 3 relays' };
+    }
+  });
+  
+  return authorRelays;
+}
+
+/**
+ * Run a one-off query against several relays
+ * Only events with a valid id and signature are returned.
+ * @param {string[]} relays - Array of relay URLs
+ * @param {Object} filter - The filter object
+ * @returns {Promise<Object[]>} A promise that resolves to the deduplicated events
+ */
+async function queryRelays(relays, filter) {
+  const eventMap = {};
+  
+  const promises = relays.map(async relay => {
+    let relayInstance = null;
+    
+    try {
+      relayInstance = window.NostrTools.relayInit(relay);
+      await withTimeout(relayInstance.connect(), RELAY_TIMEOUT_MS, `Timeout connecting to ${relay}`);
       
-      relayInstance.on('error', () => {
-        if (!hasResolved) {
-          stats.failedRelays++;
-          updateRelayStatus(stats);
-          clearTimeout(timeout);
-          hasResolved = true;
-          resolve(); // Resolve anyway to continue with other relays
-        }
-      });
+      const { events } = await fetchPage(relayInstance, filter);
       
-      // Connect to the relay
-      relayInstance.connect().then(() => {
-        // Create a subscription
-        const sub = relayInstance.sub([filter]);
-        
-        // Handle events
-        sub.on('event', (event) => {
-          // Deduplicate events by ID
-          if (!eventMap[event.id]) {
-            eventMap[event.id] = event;
-            stats.eventCount++;
-            updateEventCount(stats.eventCount);
-          }
-        });
-        
-        // Handle end of subscription
-        sub.on('eose', () => {
-          if (!hasResolved) {
-            clearTimeout(timeout);
-            hasResolved = true;
-            
-            // Close the relay connection
-            relayInstance.close();
-            
-            resolve();
-          }
-        });
-      }).catch((err) => {
-        if (!hasResolved) {
-          stats.failedRelays++;
-          updateRelayStatus(stats);
-          clearTimeout(timeout);
-          hasResolved = true;
-          console.error(`Error connecting to ${relay}:`, err);
-          resolve(); // Resolve anyway to continue with other relays
-        }
+      events.filter(isEventValid).forEach(event => {
+        eventMap[event.id] = event;
       });
     } catch (error) {
-      if (!hasResolved) {
-        stats.failedRelays++;
-        updateRelayStatus(stats);
-        clearTimeout(timeout);
-        hasResolved = true;
-        console.error(`Error with relay ${relay}:`, error);
-        resolve(); // Resolve anyway to continue with other relays
+      console.error(`Error querying ${relay}:`, error);
+    } finally {
+      if (relayInstance) {
+        relayInstance.close();
       }
     }
   });
+  
+  await Promise.allSettled(promises);
+  
+  return Object.values(eventMap);
+}
+
+/**
+ * Parse the optional kind filter
+ * @param {number|string} [kind] - The kind entered by the user
+ * @returns {number|null} The kind number, or null when no kind was given
+ */
+function parseKindFilter(kind) {
+  if (kind === undefined || kind === null || kind === '') {
+    return null;
+  }
+  
+  return parseInt(kind, 10);
+}
+
+/**
+ * Get the date ranges a fetch covers
+ * @param {Object} options - The fetch options (`dateRanges`, or `startDate` and `endDate`)
+ * @returns {Object[]} The `startDate` and `endDate` of each range
+ */
+function getFetchDateRanges(options) {
+  return options.dateRanges || [{ startDate: options.startDate, endDate: options.endDate }];
+}
+
+/**
+ * Load cached events and work out which ranges still have to be fetched from each relay
+ * @param {string[]} pubkeys - Public keys in hex format
+ * @param {Object} filterOptions - The fetch options (date ranges, `kind`, `relays`)
+ * @returns {Promise<Object>} A promise that resolves to `{ cachedEvents, fetchPlan }`,
+ *   where `fetchPlan` holds the missing ranges keyed by relay URL
+ */
+async function loadFromCache(pubkeys, filterOptions) {
+  const kind = parseKindFilter(filterOptions.kind);
+  const now = Math.floor(Date.now() / 1000);
+  
+  const cachedEvents = new Map();
+  const fetchPlan = {};
+  filterOptions.relays.forEach(relay => {
+    fetchPlan[relay] = [];
+  });
+  
+  for (const range of getFetchDateRanges(filterOptions)) {
+    // Never record coverage beyond the present
+    const since = range.startDate ? Math.floor(range.startDate.getTime() / 1000) : 0;
+    const until = Math.min(
+      range.endDate ? Math.floor(range.endDate.getTime() / 1000) : now,
+      now
+    );
+    
+    const events = await getCachedEvents(pubkeys, { since, until, kind });
+    events.forEach(event => cachedEvents.set(event.id, event));
+    
+    const plan = await planCachedFetch(pubkeys, kind, since, until, filterOptions.relays);
+    filterOptions.relays.forEach(relay => {
+      fetchPlan[relay].push(...plan[relay]);
+    });
+  }
+  
+  return { cachedEvents: Array.from(cachedEvents.values()), fetchPlan };
 }
 
 /**
  * Fetch events from multiple relays
+ * With the cache enabled, cached events are used and each relay is only asked
+ * for the time ranges it has not answered completely before for each author.
  * @param {Object} options - Fetch options
- * @param {string} options.pubkey - The public key (npub or hex)
+ * @param {string[]} options.pubkeys - The authors' public keys (npub or hex)
  * @param {Date} [options.startDate] - Start date for filtering
  * @param {Date} [options.endDate] - End date for filtering
+ * @param {Object[]} [options.dateRanges] - Several `startDate`/`endDate` ranges
+ *   fetched with their own filters, instead of `startDate` and `endDate`
  * @param {number} [options.kind] - Specific kind to filter by
  * @param {string[]} options.relays - Array of relay URLs
+ * @param {boolean} [options.useCache] - Read from and write to the local event cache
  * @returns {Promise<Object[]>} A promise that resolves to an array of events
  */
 async function fetchEvents(options) {
   try {
-    // Normalize the public key
-    const hexPubkey = normalizePublicKey(options.pubkey);
-    
-    // Create the filter
-    const filter = createFilter({
-      pubkey: hexPubkey,
-      startDate: options.startDate,
-      endDate: options.endDate,
-      kind: options.kind
-    });
+    // Normalize the public keys
+    const hexPubkeys = Array.from(new Set(options.pubkeys.map(normalizePublicKey)));
+    
+    // Forget the sources of events from a previous fetch
+    clearEventSources();
+    
+    // Use the cache when possible; a missing or broken cache falls back to relays
+    let cachedEvents = [];
+    let fetchPlan = null;
+    
+    if (options.useCache) {
+      try {
+        ({ cachedEvents, fetchPlan } = await loadFromCache(hexPubkeys, options));
+      } catch (error) {
+        console.error('Event cache unavailable:', error);
+      }
+    }
+    
+    // The filters each relay is asked
+    const filtersByRelay = {};
+    
+    if (fetchPlan) {
+      // One filter per batch of authors missing the same time range on the relay
+      options.relays.forEach(relay => {
+        filtersByRelay[relay] = [];
+        fetchPlan[relay].forEach(entry => {
+          batchAuthors(entry.authors).forEach(authors => {
+            filtersByRelay[relay].push({
+              ...createFilter({ authors, kind: options.kind }),
+              since: entry.since,
+              until: entry.until
+            });
+          });
+        });
+      });
+    } else {
+      // Create one filter per batch of authors and date range
+      const filters = [];
+      getFetchDateRanges(options).forEach(range => {
+        batchAuthors(hexPubkeys).forEach(authors => {
+          filters.push(createFilter({
+            authors,
+            startDate: range.startDate,
+            endDate: range.endDate,
+            kind: options.kind
+          }));
+        });
+      });
+      
+      options.relays.forEach(relay => {
+        filtersByRelay[relay] = filters;
+      });
+    }
+    
+    // Relays that have answered every missing range before are not asked again
+    const relaysToFetch = options.relays.filter(relay => filtersByRelay[relay].length > 0);
     
     // Initialize stats
     const stats = {
-      totalRelays: options.relays.length,
+      totalRelays: relaysToFetch.length,
       connectedRelays: 0,
       failedRelays: 0,
-      eventCount: 0
+      finishedRelays: 0,
+      eventCount: cachedEvents.length,
+      relayProgress: {}
     };
     
+    lastRelayProgress = stats.relayProgress;
+    
     // Update UI with initial stats
     updateRelayStatus(stats);
-    updateEventCount(0);
+    updateEventCount(stats.eventCount);
     
-    // Map to store events (for deduplication)
-    const eventMap = {};
+    // The number of relays each cached event was known from, to tell which gain a relay
+    const cachedSourceCounts = new Map(cachedEvents.map(event => [event.id, getEventSources(event.id).length]));
     
-    // Fetch from all relays
-    const promises = options.relays.map(relay => 
-      fetchFromRelay(relay, filter, eventMap, stats)
-    );
+    // Map to store events (for deduplication), starting with the cached events
+    const eventMap = {};
+    cachedEvents.forEach(event => {
+      eventMap[event.id] = event;
+    });
     
-    // Wait for all relays to complete
-    await Promise.allSettled(promises);
+    if (relaysToFetch.length > 0) {
+      // Fetch from all relays
+      const promises = relaysToFetch.map(relay => 
+        fetchFromRelay(relay, filtersByRelay[relay], eventMap, stats)
+      );
+      
+      // Wait for all relays to complete
+      await Promise.allSettled(promises);
+    } else {
+      updateStatusMessage('All events loaded from the local cache');
+    }
     
     // Convert the event map to an array
     const events = Object.values(eventMap);
     
+    if (fetchPlan && relaysToFetch.length > 0) {
+      await updateCache(events, cachedSourceCounts, filtersByRelay, options, stats);
+    }
+    
     return events;
   } catch (error) {
     console.error('Error fetching events:', error);
@@ -210,6 +673,43 @@ async function fetchEvents(options) {
   }
 }
 
+/**
+ * Store newly fetched events, new relays of cached events and the ranges that were fetched
+ * Coverage is only recorded for the part of each filter's range the relay
+ * sent in full; the rest is asked for again next time.
+ * @param {Object[]} events - All events of the fetch
+ * @param {Map} cachedSourceCounts - The number of relays each cached event
+ *   was known from before the fetch, keyed by event id
+ * @param {Object} filtersByRelay - The filters each relay was asked, keyed by relay URL
+ * @param {Object} options - The fetch options
+ * @param {Object} stats - The relay statistics
+ * @returns {Promise} A promise that resolves when the cache is updated
+ */
+async function updateCache(events, cachedSourceCounts, filtersByRelay, options, stats) {
+  try {
+    await cacheEvents(events.filter(event => (
+      !cachedSourceCounts.has(event.id) ||
+      getEventSources(event.id).length > cachedSourceCounts.get(event.id)
+    )));
+    
+    const kind = parseKindFilter(options.kind);
+    
+    for (const [relay, progress] of Object.entries(stats.relayProgress)) {
+      const filters = filtersByRelay[relay];
+      
+      for (let i = 0; i < progress.covered.length; i++) {
+        const covered = progress.covered[i];
+        
+        if (covered) {
+          await recordCoverage(filters[i].authors, kind, covered.since, covered.until, relay);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error updating the event cache:', error);
+  }
+}
+
 /**
  * Update the relay status in the UI
  * @param {Object} stats - The relay statistics
@@ -220,10 +720,10 @@ function updateRelayStatus(stats) {
     connectedRelaysElement.textContent = `Connected relays: ${stats.connectedRelays}/${stats.totalRelays}`;
   }
   
-  // Update progress bar
+  // Update progress bar; with no relays to ask, everything came from the cache
   const progressElement = document.getElementById('fetch-progress');
   if (progressElement) {
-    const progress = ((stats.connectedRelays + stats.failedRelays) / stats.totalRelays) * 100;
+    const progress = stats.totalRelays > 0 ? (stats.finishedRelays / stats.totalRelays) * 100 : 100;
     progressElement.value = progress;
   }
 }
@@ -238,3 +738,33 @@ function updateEventCount(count) {
     eventsFoundElement.textContent = `Events found: ${count}`;
   }
 }
+
+/**
+ * Update the per-relay progress list in the UI
+ * @param {Object} stats - The relay statistics
+ */
+function updateRelayProgress(stats) {
+  const relayProgressElement = document.getElementById('relay-progress');
+  if (!relayProgressElement) return;
+  
+  relayProgressElement.innerHTML = '';
+  
+  Object.entries(stats.relayProgress).forEach(([relay, progress]) => {
+    const item = document.createElement('li');
+    item.className = `relay-progress-item relay-${progress.status}`;
+    
+    let text = `${relay}: ${progress.status}`;
+    if (progress.batches > 1) {
+      text += ` - batch ${progress.batch}/${progress.batches}`;
+    }
+    if (progress.pages > 0) {
+      text += ` - ${progress.events} events in ${progress.pages} page${progress.pages === 1 ? '' : 's'}`;
+    }
+    if (progress.error) {
+      text += ` (${progress.error})`;
+    }
+    
+    item.textContent = text;
+    relayProgressElement.appendChild(item);
+  });
+}
@@ -0,0 +1,147 @@
+/**
+ * Event Import Module
+ * Handles reading events from local JSONL and JSON files
+ */
+
+/**
+ * Check that an object has the shape of a signed Nostr event
+ * @param {*} event - The parsed object
+ * @returns {string|null} A description of the first problem found, or null if the shape is valid
+ */
+function validateEventShape(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return 'not an event object';
+  }
+  
+  if (typeof event.id !== 'string' || !/^[0-9a-f]{64}$/.test(event.id)) {
+    return 'id must be 64 lowercase hex characters';
+  }
+  
+  if (typeof event.pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(event.pubkey)) {
+    return 'pubkey must be 64 lowercase hex characters';
+  }
+  
+  if (!Number.isInteger(event.created_at) || event.created_at < 0) {
+    return 'created_at must be a non-negative integer';
+  }
+  
+  if (!Number.isInteger(event.kind) || event.kind < 0 || event.kind > 65535) {
+    return 'kind must be an integer between 0 and 65535';
+  }
+  
+  if (!Array.isArray(event.tags) || !event.tags.every(tag =>
+    Array.isArray(tag) && tag.every(value => typeof value === 'string'))) {
+    return 'tags must be an array of string arrays';
+  }
+  
+  if (typeof event.content !== 'string') {
+    return 'content must be a string';
+  }
+  
+  if (typeof event.sig !== 'string' || !/^[0-9a-f]{128}$/.test(event.sig)) {
+    return 'sig must be 128 lowercase hex characters';
+  }
+  
+  return null;
+}
+
+/**
+ * Parse the events in a file
+ * Accepts newline-delimited JSON (strfry and `nak` exports, this tool's JSONL
+ * export), a JSON array of events (nostr-backup dumps, this tool's JSON export)
+ * or an object with an `events` array.
+ * @param {string} text - The file content
+ * @returns {Object} Object with the valid `events` and `errors` as `{ line, message }`
+ *   (or `{ entry, message }` for entries of a JSON array)
+ */
+function parseEventFile(text) {
+  const events = [];
+  const errors = [];
+  const trimmed = text.trim();
+  
+  const addEvent = (candidate, location) => {
+    const problem = validateEventShape(candidate);
+    
+    if (problem) {
+      errors.push({ ...location, message: problem });
+    } else {
+      events.push(candidate);
+    }
+  };
+  
+  // Try the file as a single JSON document first
+  let parsed = null;
+  
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    // Not a single JSON document; parse it as newline-delimited JSON
+  }
+  
+  if (parsed !== null && typeof parsed === 'object') {
+    const list = Array.isArray(parsed)
+      ? parsed
+      : (Array.isArray(parsed.events) ? parsed.events : [parsed]);
+    
+    list.forEach((candidate, index) => addEvent(candidate, { entry: index + 1 }));
+    return { events, errors };
+  }
+  
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '') return;
+    
+    try {
+      addEvent(JSON.parse(line), { line: index + 1 });
+    } catch (error) {
+      errors.push({ line: index + 1, message: 'invalid JSON' });
+    }
+  });
+  
+  return { events, errors };
+}
+
+/**
+ * Merge event lists, deduplicating by id
+ * When the same id appears twice a valid copy is preferred over an invalid one.
+ * @param {...Object[]} lists - Event lists to merge
+ * @returns {Object[]} The merged events
+ */
+function mergeEvents(...lists) {
+  const eventMap = {};
+  
+  lists.forEach(list => {
+    list.forEach(event => {
+      const existing = eventMap[event.id];
+      
+      if (!existing || (!isEventValid(existing) && isEventValid(event))) {
+        eventMap[event.id] = event;
+      }
+    });
+  });
+  
+  return Object.values(eventMap);
+}
+
+/**
+ * Read and parse event files chosen by the user
+ * @param {FileList|File[]} files - The files to import
+ * @returns {Promise<Object>} A promise that resolves to `{ events, errors }`, where each
+ *   error also carries the file name
+ */
+async function importEventFiles(files) {
+  const events = [];
+  const errors = [];
+  
+  for (const file of Array.from(files)) {
+    const result = parseEventFile(await file.text());
+    
+    // Spreading a large dump into push() overflows the call stack
+    for (const event of result.events) {
+      events.push(event);
+    }
+    result.errors.forEach(error => errors.push({ file: file.name, ...error }));
+  }
+  
+  return { events, errors };
+}
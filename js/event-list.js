@@ -0,0 +1,449 @@
+/**
+ * Event List Module
+ * Handles the windowed event list: only the rows in view are in the DOM,
+ * each a one-line summary that expands into the full event on click
+ */
+
+/**
+ * Height of a collapsed row in pixels (matches .event-row-summary in style.css)
+ */
+const EVENT_ROW_HEIGHT = 36;
+
+/**
+ * Rows rendered above and below the visible ones
+ */
+const EVENT_LIST_OVERSCAN = 10;
+
+/**
+ * Longest content preview shown in a collapsed row
+ */
+const MAX_PREVIEW_LENGTH = 140;
+
+/**
+ * Orders the event list can be sorted in
+ */
+const EVENT_SORT_ORDERS = {
+  newest: (a, b) => b.created_at - a.created_at,
+  oldest: (a, b) => a.created_at - b.created_at,
+  kind: (a, b) => a.kind - b.kind || b.created_at - a.created_at,
+  length: (a, b) => b.content.length - a.content.length || b.created_at - a.created_at
+};
+
+// The list currently shown, or null
+let eventList = null;
+
+/**
+ * Get the comparison function for a sort order
+ * @param {string} [order] - A key of EVENT_SORT_ORDERS
+ * @returns {Function} The comparison function (newest first for unknown orders)
+ */
+function getEventComparator(order) {
+  return EVENT_SORT_ORDERS[order] || EVENT_SORT_ORDERS.newest;
+}
+
+/**
+ * Show items in the windowed list
+ * @param {HTMLElement} container - The scrolling container
+ * @param {Object[]} items - Items from groupEventVersions, in display order
+ * @param {Object} [options] - List options
+ * @param {string} [options.sort] - The sort order of the items, used by jumpToDate
+ * @param {RegExp[]} [options.highlightPatterns] - Patterns to highlight in the rows
+ */
+function renderEventList(container, items, options = {}) {
+  clearEventList();
+  
+  const spacer = document.createElement('div');
+  spacer.className = 'event-list-spacer';
+  container.appendChild(spacer);
+  container.scrollTop = 0;
+  
+  eventList = {
+    container,
+    spacer,
+    items,
+    sort: options.sort || 'newest',
+    highlightPatterns: options.highlightPatterns || [],
+    heights: items.map(() => EVENT_ROW_HEIGHT),
+    offsets: [],
+    expanded: new Set(),
+    rows: new Map(),
+    frame: null,
+    // Expanded rows change height when images load or details are opened
+    resizeObserver: window.ResizeObserver ? new ResizeObserver(handleRowResize) : null
+  };
+  
+  container.addEventListener('scroll', scheduleEventListRender);
+  
+  updateRowOffsets();
+  renderVisibleRows();
+}
+
+/**
+ * Get the key that identifies an item across updates of the list
+ * @param {Object} item - An item from groupEventVersions
+ * @returns {string} The version key, or the event id for regular events
+ */
+function getEventItemKey(item) {
+  return getVersionKey(item.event) || item.event.id;
+}
+
+/**
+ * Replace the items of the current list, keeping expanded rows open and the
+ * first visible row in place
+ * A list scrolled to the top stays at the top, so new events come into view.
+ * @param {Object[]} items - Items from groupEventVersions, in display order
+ * @returns {boolean} False if there is no list to update
+ */
+function updateEventList(items) {
+  if (!eventList || eventList.items.length === 0) return false;
+  
+  const { container } = eventList;
+  const anchorIndex = findRowAt(container.scrollTop);
+  const anchorKey = container.scrollTop > 0 ? getEventItemKey(eventList.items[anchorIndex]) : null;
+  const anchorShift = container.scrollTop - eventList.offsets[anchorIndex];
+  
+  // Expanded rows keep their height until they are measured again
+  const expandedHeights = new Map();
+  eventList.expanded.forEach(index => {
+    expandedHeights.set(getEventItemKey(eventList.items[index]), eventList.heights[index]);
+  });
+  
+  eventList.rows.forEach(row => {
+    if (eventList.resizeObserver) eventList.resizeObserver.unobserve(row);
+    row.remove();
+  });
+  eventList.rows.clear();
+  
+  eventList.items = items;
+  eventList.expanded = new Set();
+  eventList.heights = items.map((item, index) => {
+    const key = getEventItemKey(item);
+    if (!expandedHeights.has(key)) return EVENT_ROW_HEIGHT;
+    
+    eventList.expanded.add(index);
+    return expandedHeights.get(key);
+  });
+  
+  updateRowOffsets();
+  
+  const newAnchorIndex = anchorKey ? items.findIndex(item => getEventItemKey(item) === anchorKey) : -1;
+  if (newAnchorIndex !== -1) {
+    container.scrollTop = eventList.offsets[newAnchorIndex] + anchorShift;
+  }
+  
+  renderVisibleRows();
+  return true;
+}
+
+/**
+ * Remove the current list and stop observing its rows
+ */
+function clearEventList() {
+  if (!eventList) return;
+  
+  if (eventList.resizeObserver) {
+    eventList.resizeObserver.disconnect();
+  }
+  if (eventList.frame) {
+    cancelAnimationFrame(eventList.frame);
+  }
+  
+  eventList.container.removeEventListener('scroll', scheduleEventListRender);
+  eventList.container.innerHTML = '';
+  eventList = null;
+}
+
+/**
+ * Recompute the top offset of every row from the row heights
+ */
+function updateRowOffsets() {
+  const offsets = new Array(eventList.items.length + 1);
+  offsets[0] = 0;
+  
+  eventList.heights.forEach((height, index) => {
+    offsets[index + 1] = offsets[index] + height;
+  });
+  
+  eventList.offsets = offsets;
+  eventList.spacer.style.height = `${offsets[offsets.length - 1]}px`;
+  
+  eventList.rows.forEach((row, index) => {
+    row.style.top = `${offsets[index]}px`;
+  });
+}
+
+/**
+ * Find the row at a vertical offset in the list
+ * @param {number} offset - Offset from the top of the list in pixels
+ * @returns {number} The row index
+ */
+function findRowAt(offset) {
+  const offsets = eventList.offsets;
+  let low = 0;
+  let high = eventList.items.length - 1;
+  
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  
+  return low;
+}
+
+/**
+ * Render the visible rows on the next animation frame
+ */
+function scheduleEventListRender() {
+  if (!eventList || eventList.frame) return;
+  
+  eventList.frame = requestAnimationFrame(() => {
+    eventList.frame = null;
+    renderVisibleRows();
+  });
+}
+
+/**
+ * Add the rows in view and remove those scrolled out of view
+ */
+function renderVisibleRows() {
+  if (!eventList || eventList.items.length === 0) return;
+  
+  const { container, rows } = eventList;
+  const first = Math.max(0, findRowAt(container.scrollTop) - EVENT_LIST_OVERSCAN);
+  const last = Math.min(
+    eventList.items.length - 1,
+    findRowAt(container.scrollTop + container.clientHeight) + EVENT_LIST_OVERSCAN
+  );
+  
+  rows.forEach((row, index) => {
+    if (index < first || index > last) {
+      if (eventList.resizeObserver) eventList.resizeObserver.unobserve(row);
+      row.remove();
+      rows.delete(index);
+    }
+  });
+  
+  for (let index = first; index <= last; index++) {
+    if (!rows.has(index)) {
+      const row = createEventRow(index);
+      rows.set(index, row);
+      eventList.spacer.appendChild(row);
+      
+      if (eventList.expanded.has(index)) {
+        measureRow(index, row);
+        if (eventList.resizeObserver) eventList.resizeObserver.observe(row);
+      }
+    }
+  }
+}
+
+/**
+ * Get a one-line preview of an event's content
+ * @param {Object} event - Nostr event object
+ * @returns {string} The preview
+ */
+function getEventPreview(event) {
+  const content = event.content.replace(/\s+/g, ' ').trim();
+  
+  if (!content) {
+    return `${event.tags.length} tag${event.tags.length === 1 ? '' : 's'}`;
+  }
+  
+  return content.length > MAX_PREVIEW_LENGTH ? `${content.substring(0, MAX_PREVIEW_LENGTH)}…` : content;
+}
+
+/**
+ * Create the row for an item, expanded if the user opened it
+ * @param {number} index - The row index
+ * @returns {HTMLElement} The row element
+ */
+function createEventRow(index) {
+  const { event, versions } = eventList.items[index];
+  const row = document.createElement('div');
+  row.className = 'event-row';
+  row.style.top = `${eventList.offsets[index]}px`;
+  
+  const summary = document.createElement('button');
+  summary.type = 'button';
+  summary.className = 'event-row-summary';
+  summary.addEventListener('click', () => toggleEventRow(index));
+  
+  const time = document.createElement('span');
+  time.className = 'event-row-time';
+  time.textContent = formatTimestamp(event.created_at);
+  summary.appendChild(time);
+  
+  const kind = document.createElement('span');
+  kind.className = 'event-row-kind';
+  kind.textContent = `${event.kind} · ${getKindName(event.kind)}`;
+  summary.appendChild(kind);
+  
+  const preview = document.createElement('span');
+  preview.className = 'event-row-preview';
+  preview.textContent = getEventPreview(event);
+  summary.appendChild(preview);
+  
+  // Markers for what the expanded event would flag
+  if (verifyEvent(event) !== EVENT_VALIDITY.VERIFIED) {
+    const invalidMarker = document.createElement('span');
+    invalidMarker.className = 'event-row-marker event-row-invalid';
+    invalidMarker.textContent = '✗';
+    invalidMarker.title = 'Failed verification';
+    summary.appendChild(invalidMarker);
+  }
+  
+  const lintIssues = validateEvent(event);
+  if (lintIssues.length > 0) {
+    const lintMarker = document.createElement('span');
+    lintMarker.className = 'event-row-marker event-row-lint';
+    lintMarker.textContent = `⚠ ${lintIssues.length}`;
+    lintMarker.title = `${lintIssues.length} lint issue${lintIssues.length === 1 ? '' : 's'}`;
+    summary.appendChild(lintMarker);
+  }
+  
+  if (versions.length > 1) {
+    const versionMarker = document.createElement('span');
+    versionMarker.className = 'event-row-marker';
+    versionMarker.textContent = `${versions.length} versions`;
+    summary.appendChild(versionMarker);
+  }
+  
+  row.appendChild(summary);
+  
+  if (eventList.highlightPatterns.length > 0) {
+    highlightMatches(row, eventList.highlightPatterns);
+  }
+  
+  if (eventList.expanded.has(index)) {
+    row.classList.add('event-row-expanded');
+    row.appendChild(createEventItemElement(eventList.items[index], eventList.highlightPatterns));
+  }
+  
+  return row;
+}
+
+/**
+ * Expand or collapse a row
+ * @param {number} index - The row index
+ */
+function toggleEventRow(index) {
+  if (eventList.expanded.has(index)) {
+    eventList.expanded.delete(index);
+    eventList.heights[index] = EVENT_ROW_HEIGHT;
+  } else {
+    eventList.expanded.add(index);
+  }
+  
+  // Rebuild the row in its new state
+  const oldRow = eventList.rows.get(index);
+  if (oldRow) {
+    if (eventList.resizeObserver) eventList.resizeObserver.unobserve(oldRow);
+    oldRow.remove();
+    eventList.rows.delete(index);
+  }
+  
+  updateRowOffsets();
+  renderVisibleRows();
+}
+
+/**
+ * Record the height of an expanded row and move the rows below it
+ * @param {number} index - The row index
+ * @param {HTMLElement} row - The row element
+ */
+function measureRow(index, row) {
+  const height = Math.max(row.offsetHeight, EVENT_ROW_HEIGHT);
+  
+  if (height !== eventList.heights[index]) {
+    eventList.heights[index] = height;
+    updateRowOffsets();
+  }
+}
+
+/**
+ * Handle expanded rows changing height
+ * @param {ResizeObserverEntry[]} entries - The resized rows
+ */
+function handleRowResize(entries) {
+  if (!eventList) return;
+  
+  entries.forEach(entry => {
+    eventList.rows.forEach((row, index) => {
+      if (row === entry.target && eventList.expanded.has(index)) {
+        measureRow(index, row);
+      }
+    });
+  });
+  
+  renderVisibleRows();
+}
+
+/**
+ * Scroll a row to the top of the list
+ * @param {number} index - The row index
+ */
+function scrollToRow(index) {
+  eventList.container.scrollTop = eventList.offsets[index];
+  renderVisibleRows();
+}
+
+/**
+ * Scroll to the events of a day
+ * Lists sorted by time scroll to the first event of that day or the nearest
+ * one past it; other orders scroll to the event closest in time.
+ * @param {number} timestamp - Start of the day, as a Unix timestamp in seconds
+ * @returns {boolean} True if the list has an event to scroll to
+ */
+function jumpToDate(timestamp) {
+  if (!eventList || eventList.items.length === 0) return false;
+  
+  const items = eventList.items;
+  const dayEnd = timestamp + 24 * 60 * 60;
+  let index;
+  
+  if (eventList.sort === 'newest') {
+    index = items.findIndex(item => item.event.created_at < dayEnd);
+  } else if (eventList.sort === 'oldest') {
+    index = items.findIndex(item => item.event.created_at >= timestamp);
+  } else {
+    index = 0;
+    items.forEach((item, candidate) => {
+      if (Math.abs(item.event.created_at - timestamp) < Math.abs(items[index].event.created_at - timestamp)) {
+        index = candidate;
+      }
+    });
+  }
+  
+  scrollToRow(index === -1 ? items.length - 1 : index);
+  return true;
+}
+
+/**
+ * Expand the row of an event and scroll to it
+ * Older versions reveal the row of their current version.
+ * @param {string} eventId - The event id
+ * @returns {boolean} True if the event is in the list
+ */
+function revealEvent(eventId) {
+  if (!eventList) return false;
+  
+  const index = eventList.items.findIndex(item => item.versions.some(version => version.id === eventId));
+  if (index === -1) return false;
+  
+  if (!eventList.expanded.has(index)) {
+    toggleEventRow(index);
+  }
+  
+  scrollToRow(index);
+  
+  const eventElement = eventList.rows.get(index).querySelector('.event');
+  if (eventElement) {
+    eventElement.classList.add('event-target');
+  }
+  
+  return true;
+}
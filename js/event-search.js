@@ -0,0 +1,170 @@
+/**
+ * Event Search Module
+ * Handles parsing search queries and matching them against fetched events
+ *
+ * Query language (all parts must match):
+ *   bitcoin "exact phrase"    text in the content (case-insensitive)
+ *   /zap(s|ped)/i             regular expression on the content
+ *   kind:1,7                  one of the listed kinds
+ *   tag:t=bitcoin             a tag with this name and value (case-insensitive)
+ *   has:e                     at least one tag with this name
+ *   after:2024-01-01          created on or after this date (or Unix timestamp)
+ *   before:2024-02-01         created before this date (or Unix timestamp)
+ */
+
+/**
+ * Parse a date or Unix timestamp from a query
+ * @param {string} value - The date (YYYY-MM-DD, local time) or timestamp
+ * @param {string} operator - The operator, for the error message
+ * @returns {number} Unix timestamp in seconds
+ * @throws {Error} If the value is not a date
+ */
+function parseSearchDate(value, operator) {
+  if (/^\d{9,}$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date in ${operator}:${value}`);
+  }
+  
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Parse a search query
+ * @param {string} input - The query entered by the user
+ * @returns {Object|null} The parsed query, or null if the query is empty
+ * @throws {Error} If part of the query is malformed
+ */
+function parseSearchQuery(input) {
+  const query = {
+    terms: [],
+    regexes: [],
+    kinds: null,
+    tags: [],
+    hasTags: [],
+    after: null,
+    before: null
+  };
+  
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  let empty = true;
+  
+  while ((match = tokenPattern.exec(input || '')) !== null) {
+    empty = false;
+    
+    // Quoted phrases are always free text
+    if (match[1] !== undefined) {
+      if (match[1]) query.terms.push(match[1].toLowerCase());
+      continue;
+    }
+    
+    const token = match[2];
+    const regex = token.match(/^\/(.+)\/([a-z]*)$/);
+    const operator = token.match(/^(kind|tag|has|after|before):(.*)$/i);
+    
+    if (regex) {
+      try {
+        query.regexes.push(new RegExp(regex[1], regex[2]));
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    } else if (operator) {
+      const name = operator[1].toLowerCase();
+      const value = operator[2];
+      
+      if (!value) {
+        throw new Error(`Missing value after ${name}:`);
+      }
+      
+      if (name === 'kind') {
+        const kinds = value.split(',').map(kind => parseInt(kind, 10));
+        if (kinds.some(Number.isNaN)) {
+          throw new Error(`Invalid kind list in kind:${value}`);
+        }
+        query.kinds = new Set([...(query.kinds || []), ...kinds]);
+      } else if (name === 'tag') {
+        const separator = value.indexOf('=');
+        if (separator === -1) {
+          query.hasTags.push(value);
+        } else {
+          query.tags.push({ name: value.substring(0, separator), value: value.substring(separator + 1).toLowerCase() });
+        }
+      } else if (name === 'has') {
+        query.hasTags.push(value);
+      } else if (name === 'after') {
+        query.after = parseSearchDate(value, name);
+      } else {
+        query.before = parseSearchDate(value, name);
+      }
+    } else {
+      query.terms.push(token.toLowerCase());
+    }
+  }
+  
+  return empty ? null : query;
+}
+
+/**
+ * Check whether an event matches a parsed query
+ * @param {Object} event - Nostr event object
+ * @param {Object} query - Query from parseSearchQuery
+ * @returns {boolean} True if every part of the query matches
+ */
+function matchesSearch(event, query) {
+  if (query.kinds && !query.kinds.has(event.kind)) return false;
+  if (query.after !== null && event.created_at < query.after) return false;
+  if (query.before !== null && event.created_at >= query.before) return false;
+  
+  if (!query.hasTags.every(name => event.tags.some(tag => tag[0] === name))) {
+    return false;
+  }
+  
+  if (!query.tags.every(filter => event.tags.some(tag =>
+    tag[0] === filter.name && typeof tag[1] === 'string' && tag[1].toLowerCase() === filter.value))) {
+    return false;
+  }
+  
+  const content = event.content.toLowerCase();
+  if (!query.terms.every(term => content.includes(term))) return false;
+  
+  return query.regexes.every(regex => {
+    // Global and sticky regexes keep state between calls
+    regex.lastIndex = 0;
+    return regex.test(event.content);
+  });
+}
+
+/**
+ * Count the events of each kind that match a query
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {Object} query - Query from parseSearchQuery
+ * @returns {Object} Match counts keyed by kind
+ */
+function countSearchMatches(kindGroups, query) {
+  const counts = {};
+  
+  Object.entries(kindGroups).forEach(([kind, events]) => {
+    counts[kind] = events.filter(event => matchesSearch(event, query)).length;
+  });
+  
+  return counts;
+}
+
+/**
+ * Get the patterns to highlight in events matching a query
+ * @param {Object} query - Query from parseSearchQuery
+ * @returns {RegExp[]} Global, case-insensitive patterns for the text terms and regexes
+ */
+function getHighlightPatterns(query) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  return [
+    ...query.terms.map(term => new RegExp(escape(term), 'gi')),
+    ...query.regexes.map(regex => new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`))
+  ];
+}
@@ -0,0 +1,279 @@
+/**
+ * Event Validator Module
+ * Handles checking that events are well-formed for their kind
+ * Each rule in LINT_RULES applies to some kinds and returns a message for
+ * every problem it finds in an event.
+ */
+
+/**
+ * Severity of a lint issue
+ */
+const LINT_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * How far in the future created_at may be before it is reported
+ */
+const MAX_CLOCK_SKEW_SECONDS = 15 * 60;
+
+const HEX_64_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Check that a relay URL is a valid websocket URL
+ * @param {string} url - The relay URL
+ * @returns {boolean} True if the URL is a ws:// or wss:// URL
+ */
+function isValidRelayUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'wss:' || parsed.protocol === 'ws:') && Boolean(parsed.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check that an event has at least one tag of each name
+ * @param {Object} event - Nostr event object
+ * @param {string[]} names - The required tag names
+ * @returns {string[]} A message for each missing tag
+ */
+function checkRequiredTags(event, names) {
+  return names
+    .filter(name => !event.tags.some(tag => tag[0] === name && tag[1]))
+    .map(name => `missing "${name}" tag`);
+}
+
+/**
+ * Lint rules
+ * `appliesTo` selects the kinds a rule checks; `check` returns the problems found.
+ */
+const LINT_RULES = [
+  {
+    id: 'tag-shape',
+    description: 'Tags are non-empty arrays of strings',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: () => true,
+    check: event => event.tags
+      .map((tag, index) => ({ tag, index }))
+      .filter(({ tag }) => !Array.isArray(tag) || tag.length === 0 || tag.some(value => typeof value !== 'string'))
+      .map(({ index }) => `tag ${index} is not a non-empty array of strings`)
+  },
+  {
+    id: 'reference-format',
+    description: '"e" and "p" tags reference 64-character hex ids and keys',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: () => true,
+    check: event => event.tags
+      .filter(tag => Array.isArray(tag) && (tag[0] === 'e' || tag[0] === 'p') && !HEX_64_PATTERN.test(tag[1]))
+      .map(tag => `"${tag[0]}" tag value "${String(tag[1]).substring(0, 20)}" is not 64-character lowercase hex`)
+  },
+  {
+    id: 'future-timestamp',
+    description: 'created_at is not in the future',
+    severity: LINT_SEVERITY.WARNING,
+    appliesTo: () => true,
+    check: event => event.created_at > Math.floor(Date.now() / 1000) + MAX_CLOCK_SKEW_SECONDS
+      ? [`created_at is ${formatTimestamp(event.created_at)}, in the future`]
+      : []
+  },
+  {
+    id: 'deprecated-kind',
+    description: 'Kind is not deprecated',
+    severity: LINT_SEVERITY.WARNING,
+    appliesTo: kind => getKindInfo(kind).deprecated,
+    check: event => [`kind ${event.kind} (${getKindName(event.kind)}) is deprecated`]
+  },
+  {
+    id: 'metadata-json',
+    description: 'Kind 0 content is a JSON object',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind === 0,
+    check: event => {
+      try {
+        const metadata = JSON.parse(event.content);
+        return metadata && typeof metadata === 'object' && !Array.isArray(metadata)
+          ? []
+          : ['content is JSON but not an object'];
+      } catch (error) {
+        return ['content is not valid JSON'];
+      }
+    }
+  },
+  {
+    id: 'json-content',
+    description: 'Content is valid JSON for kinds with JSON content',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind !== 0 && getKindInfo(kind).content === CONTENT_FORMATS.JSON,
+    check: event => {
+      if (event.content === '') return [];
+      
+      try {
+        JSON.parse(event.content);
+        return [];
+      } catch (error) {
+        return ['content is not valid JSON'];
+      }
+    }
+  },
+  {
+    id: 'addressable-d-tag',
+    description: 'Addressable events (30000-39999) have a "d" tag',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => getKindCategory(kind) === KIND_CATEGORIES.ADDRESSABLE,
+    check: event => event.tags.some(tag => tag[0] === 'd') ? [] : ['missing "d" tag']
+  },
+  {
+    id: 'reaction-tags',
+    description: 'Reactions (kind 7) have "e" and "p" tags',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind === 7,
+    check: event => checkRequiredTags(event, ['e', 'p'])
+  },
+  {
+    id: 'repost-tags',
+    description: 'Reposts (kinds 6 and 16) have an "e" tag',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind === 6 || kind === 16,
+    check: event => checkRequiredTags(event, ['e'])
+  },
+  {
+    id: 'relay-list-urls',
+    description: 'Relay list "r" tags hold valid relay URLs and read/write markers',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind === 10002,
+    check: event => {
+      const problems = [];
+      
+      event.tags.filter(tag => tag[0] === 'r').forEach(tag => {
+        if (!isValidRelayUrl(tag[1])) {
+          problems.push(`"${tag[1]}" is not a valid relay URL`);
+        }
+        
+        if (tag[2] !== undefined && tag[2] !== 'read' && tag[2] !== 'write') {
+          problems.push(`"${tag[1]}" has unknown marker "${tag[2]}"`);
+        }
+      });
+      
+      return problems;
+    }
+  },
+  {
+    id: 'zap-request-tags',
+    description: 'Zap requests (kind 9734) have "p" and "relays" tags',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind === 9734,
+    check: event => checkRequiredTags(event, ['p', 'relays'])
+  },
+  {
+    id: 'zap-receipt-tags',
+    description: 'Zap receipts (kind 9735) have "bolt11" and "description" tags, the description being a zap request',
+    severity: LINT_SEVERITY.ERROR,
+    appliesTo: kind => kind === 9735,
+    check: event => {
+      const problems = checkRequiredTags(event, ['bolt11', 'description', 'p']);
+      const description = event.tags.find(tag => tag[0] === 'description');
+      
+      if (description && description[1]) {
+        try {
+          const zapRequest = JSON.parse(description[1]);
+          if (!zapRequest || zapRequest.kind !== 9734) {
+            problems.push('"description" tag is not a kind 9734 zap request');
+          }
+        } catch (error) {
+          problems.push('"description" tag is not valid JSON');
+        }
+      }
+      
+      return problems;
+    }
+  }
+];
+
+// Lint results, cached per event object
+const lintCache = new WeakMap();
+
+/**
+ * Check an event against every rule that applies to its kind
+ * @param {Object} event - Nostr event object
+ * @returns {Object[]} Issues found, each with `rule`, `severity` and `message`
+ */
+function validateEvent(event) {
+  if (lintCache.has(event)) {
+    return lintCache.get(event);
+  }
+  
+  const issues = [];
+  
+  LINT_RULES.forEach(rule => {
+    if (!rule.appliesTo(event.kind)) return;
+    
+    try {
+      rule.check(event).forEach(message => {
+        issues.push({ rule: rule.id, severity: rule.severity, message });
+      });
+    } catch (error) {
+      console.error(`Error running lint rule ${rule.id} on event ${event.id}:`, error);
+    }
+  });
+  
+  lintCache.set(event, issues);
+  return issues;
+}
+
+/**
+ * Lint every event and group the issues by rule and kind
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {Object} [previous] - A report on other events to add these events to
+ * @returns {Object} `rows` (one per rule and kind, with `rule`, `kind`,
+ *   `severity`, `description`, `count`, `example`), `totalIssues` and `affectedEvents`
+ */
+function lintKindGroups(kindGroups, previous = null) {
+  const rows = new Map();
+  let totalIssues = previous ? previous.totalIssues : 0;
+  let affectedEvents = previous ? previous.affectedEvents : 0;
+  
+  if (previous) {
+    previous.rows.forEach(row => rows.set(`${row.rule}|${row.kind}`, { ...row }));
+  }
+  
+  Object.entries(kindGroups).forEach(([kind, events]) => {
+    events.forEach(event => {
+      const issues = validateEvent(event);
+      if (issues.length === 0) return;
+      
+      affectedEvents++;
+      totalIssues += issues.length;
+      
+      issues.forEach(issue => {
+        const key = `${issue.rule}|${kind}`;
+        
+        if (!rows.has(key)) {
+          const rule = LINT_RULES.find(candidate => candidate.id === issue.rule);
+          rows.set(key, {
+            rule: issue.rule,
+            kind: parseInt(kind, 10),
+            severity: issue.severity,
+            description: rule.description,
+            count: 0,
+            example: issue.message
+          });
+        }
+        
+        rows.get(key).count++;
+      });
+    });
+  });
+  
+  // Errors first, then the most frequent issues
+  const sortedRows = Array.from(rows.values()).sort((a, b) => {
+    if (a.severity !== b.severity) {
+      return a.severity === LINT_SEVERITY.ERROR ? -1 : 1;
+    }
+    return b.count - a.count;
+  });
+  
+  return { rows: sortedRows, totalIssues, affectedEvents };
+}
@@ -0,0 +1,96 @@
+/**
+ * Event Verifier Module
+ * Handles checking event ids and Schnorr signatures and reducing events to
+ * their signed NIP-01 fields
+ */
+
+/**
+ * Possible results of verifying an event
+ */
+const EVENT_VALIDITY = {
+  VERIFIED: 'verified',
+  BAD_ID: 'bad-id',
+  BAD_SIGNATURE: 'bad-signature'
+};
+
+/**
+ * Human-readable labels for each verification result
+ */
+const EVENT_VALIDITY_LABELS = {
+  [EVENT_VALIDITY.VERIFIED]: 'Verified',
+  [EVENT_VALIDITY.BAD_ID]: 'Bad ID',
+  [EVENT_VALIDITY.BAD_SIGNATURE]: 'Bad signature'
+};
+
+// Verification results, cached per event object
+const validityCache = new WeakMap();
+
+/**
+ * Verify an event's id and signature
+ * The id is recomputed from the serialized event fields and compared with
+ * the id the relay sent; the signature is then checked against that id.
+ * @param {Object} event - Nostr event object
+ * @returns {string} One of the EVENT_VALIDITY values
+ */
+function verifyEvent(event) {
+  if (validityCache.has(event)) {
+    return validityCache.get(event);
+  }
+  
+  let validity;
+  
+  try {
+    const hash = window.NostrTools.getEventHash(event);
+    
+    if (hash !== event.id) {
+      validity = EVENT_VALIDITY.BAD_ID;
+    } else if (window.NostrTools.verifySignature(event)) {
+      validity = EVENT_VALIDITY.VERIFIED;
+    } else {
+      validity = EVENT_VALIDITY.BAD_SIGNATURE;
+    }
+  } catch (error) {
+    // Events that cannot be serialized cannot have a valid id
+    validity = EVENT_VALIDITY.BAD_ID;
+  }
+  
+  validityCache.set(event, validity);
+  return validity;
+}
+
+/**
+ * Restore a previously computed verification result, e.g. for cached events
+ * @param {Object} event - Nostr event object
+ * @param {string} validity - One of the EVENT_VALIDITY values
+ */
+function restoreEventValidity(event, validity) {
+  if (Object.values(EVENT_VALIDITY).includes(validity)) {
+    validityCache.set(event, validity);
+  }
+}
+
+/**
+ * Check whether an event has a correct id and signature
+ * @param {Object} event - Nostr event object
+ * @returns {boolean} True if the event is verified
+ */
+function isEventValid(event) {
+  return verifyEvent(event) === EVENT_VALIDITY.VERIFIED;
+}
+
+/**
+ * Copy only the NIP-01 fields of an event, in canonical order
+ * @param {Object} event - Nostr event object
+ * @returns {Object} A plain event object
+ */
+function toPlainEvent(event) {
+  return {
+    id: event.id,
+    pubkey: event.pubkey,
+    created_at: event.created_at,
+    kind: event.kind,
+    tags: event.tags,
+    content: event.content,
+    sig: event.sig
+  };
+}
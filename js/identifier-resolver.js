@@ -0,0 +1,158 @@
+/**
+ * Identifier Resolver Module
+ * Handles turning the user's input (hex keys, NIP-19 entities and NIP-05
+ * identifiers) into the author to explore
+ */
+
+/**
+ * NIP-05 identifier pattern: name@domain
+ */
+const NIP05_PATTERN = /^([a-z0-9._+-]+)@([a-z0-9-]+(?:\.[a-z0-9-]+)+)$/i;
+
+/**
+ * Split the identifier field into individual identifiers
+ * @param {string} input - Identifiers separated by commas, spaces or new lines
+ * @returns {string[]} Array of identifiers
+ */
+function parseIdentifierList(input) {
+  return (input || '')
+    .split(/[\s,]+/)
+    .map(identifier => identifier.trim())
+    .filter(identifier => identifier !== '');
+}
+
+/**
+ * Resolve a NIP-05 identifier through the domain's /.well-known/nostr.json
+ * @param {string} identifier - The identifier in name@domain form
+ * @returns {Promise<Object>} A promise that resolves to `{ pubkey, relays }`
+ */
+async function resolveNip05(identifier) {
+  const match = identifier.match(NIP05_PATTERN);
+  if (!match) {
+    throw new Error('Invalid NIP-05 identifier');
+  }
+  
+  const name = match[1].toLowerCase();
+  const domain = match[2].toLowerCase();
+  
+  let data;
+  
+  try {
+    const response = await fetch(`https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    data = await response.json();
+  } catch (error) {
+    throw new Error(`Could not resolve ${identifier}: ${error.message}`);
+  }
+  
+  const pubkey = data && data.names && data.names[name];
+  
+  if (!pubkey || !/^[0-9a-f]{64}$/i.test(pubkey)) {
+    throw new Error(`${identifier} is not registered at ${domain}`);
+  }
+  
+  const hexPubkey = pubkey.toLowerCase();
+  const relays = (data.relays && data.relays[hexPubkey]) || [];
+  
+  return {
+    pubkey: hexPubkey,
+    relays
+  };
+}
+
+/**
+ * Resolve the user's input into an author and optional target event
+ * Accepts hex keys, npub, nprofile, note, nevent, naddr (optionally with a
+ * `nostr:` prefix) and NIP-05 identifiers.
+ * @param {string} input - The identifier entered by the user
+ * @param {string[]} relays - Relays to query when an event has to be looked up
+ * @returns {Promise<Object>} A promise that resolves to `{ pubkey, relays, event }`,
+ *   where `relays` are hints carried by the identifier and `event` is the event
+ *   a note, nevent or naddr points to (or null)
+ */
+async function resolveIdentifier(input, relays) {
+  const identifier = (input || '').trim().replace(/^nostr:/i, '');
+  
+  if (!identifier) {
+    throw new Error('Public key is required');
+  }
+  
+  if (NIP05_PATTERN.test(identifier)) {
+    const profile = await resolveNip05(identifier);
+    return { ...profile, event: null };
+  }
+  
+  // Hex keys and npubs; the identifier is named as it may be one of several
+  if (/^[0-9a-f]{64}$/i.test(identifier) || identifier.startsWith('npub1')) {
+    try {
+      return {
+        pubkey: normalizePublicKey(identifier),
+        relays: [],
+        event: null
+      };
+    } catch (error) {
+      throw new Error(`${identifier}: ${error.message}`);
+    }
+  }
+  
+  let decoded;
+  
+  try {
+    decoded = window.NostrTools.nip19.decode(identifier);
+  } catch (error) {
+    throw new Error(`${identifier}: Invalid public key format`);
+  }
+  
+  const { type, data } = decoded;
+  
+  if (type === 'nprofile') {
+    return {
+      pubkey: data.pubkey,
+      relays: data.relays || [],
+      event: null
+    };
+  }
+  
+  if (type === 'note' || type === 'nevent') {
+    const pointer = type === 'note' ? { id: data } : data;
+    const hints = pointer.relays || [];
+    
+    const events = await queryRelays(mergeRelayLists(hints, relays), { ids: [pointer.id] });
+    const event = events[0] || null;
+    
+    if (!event && !pointer.author) {
+      throw new Error(`Could not find event ${pointer.id} on the configured relays`);
+    }
+    
+    return {
+      pubkey: event ? event.pubkey : pointer.author,
+      relays: hints,
+      event
+    };
+  }
+  
+  if (type === 'naddr') {
+    const hints = data.relays || [];
+    
+    const events = await queryRelays(mergeRelayLists(hints, relays), {
+      kinds: [data.kind],
+      authors: [data.pubkey],
+      '#d': [data.identifier]
+    });
+    
+    // Keep the latest version of the addressable event
+    const event = events.sort((a, b) => b.created_at - a.created_at)[0] || null;
+    
+    return {
+      pubkey: data.pubkey,
+      relays: hints,
+      event
+    };
+  }
+  
+  throw new Error(`${identifier}: Unsupported identifier type ${type}`);
+}
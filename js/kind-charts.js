@@ -0,0 +1,264 @@
+/**
+ * Kind Charts Module
+ * Handles drawing the kind distribution charts in the results section
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Number of days above which the timeline is drawn per week instead of per day
+ */
+const MAX_TIMELINE_DAYS = 400;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a stable colour for a kind
+ * @param {number} kind - The kind number
+ * @returns {string} A CSS colour
+ */
+function getKindColor(kind) {
+  const hue = Math.round((kind * 137.508) % 360);
+  return `hsl(${hue}, 60%, 50%)`;
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - The SVG tag name
+ * @param {Object} [attributes] - Attributes to set
+ * @returns {SVGElement} The SVG element
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  
+  Object.entries(attributes).forEach(([name, value]) => {
+    element.setAttribute(name, value);
+  });
+  
+  return element;
+}
+
+/**
+ * Attach a tooltip to an SVG element
+ * @param {SVGElement} element - The SVG element
+ * @param {string} text - The tooltip text
+ */
+function addSvgTitle(element, text) {
+  const title = createSvgElement('title');
+  title.textContent = text;
+  element.appendChild(title);
+}
+
+/**
+ * Get the start of the local day for a date
+ * @param {Date} date - The date
+ * @returns {Date} Midnight at the start of that day
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Draw a bar chart of each kind's share of all events
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {string|number} selectedKind - The selected kind, or 'all'
+ * @param {Function} onSelect - Called with the kind number when a bar is clicked
+ */
+function renderKindShareChart(container, kindGroups, selectedKind, onSelect) {
+  container.innerHTML = '';
+  
+  const kinds = getSortedKinds(kindGroups)
+    .sort((a, b) => kindGroups[b].length - kindGroups[a].length);
+  
+  if (kinds.length === 0) return;
+  
+  const total = kinds.reduce((sum, kind) => sum + kindGroups[kind].length, 0);
+  const maxCount = kindGroups[kinds[0]].length;
+  
+  const rowHeight = 22;
+  const labelWidth = 260;
+  const barWidth = 420;
+  const width = labelWidth + barWidth + 90;
+  const height = kinds.length * rowHeight;
+  
+  const svg = createSvgElement('svg', {
+    class: 'kind-share-chart',
+    viewBox: `0 0 ${width} ${height}`,
+    width: '100%',
+    role: 'img',
+    'aria-label': 'Share of events per kind'
+  });
+  
+  kinds.forEach((kind, index) => {
+    const count = kindGroups[kind].length;
+    const share = (count / total) * 100;
+    const y = index * rowHeight;
+    
+    const row = createSvgElement('g', {
+      class: `chart-row${String(kind) === String(selectedKind) ? ' chart-selected' : ''}`,
+      transform: `translate(0, ${y})`
+    });
+    row.addEventListener('click', () => onSelect(kind));
+    
+    const label = createSvgElement('text', { x: labelWidth - 8, y: rowHeight / 2, 'text-anchor': 'end', 'dominant-baseline': 'middle' });
+    label.textContent = `${kind} - ${getKindName(kind)}`.substring(0, 40);
+    row.appendChild(label);
+    
+    const bar = createSvgElement('rect', {
+      x: labelWidth,
+      y: 3,
+      width: Math.max(1, (count / maxCount) * barWidth),
+      height: rowHeight - 6,
+      fill: getKindColor(kind)
+    });
+    row.appendChild(bar);
+    
+    const value = createSvgElement('text', {
+      x: labelWidth + (count / maxCount) * barWidth + 6,
+      y: rowHeight / 2,
+      'dominant-baseline': 'middle'
+    });
+    value.textContent = `${count} (${share.toFixed(1)}%)`;
+    row.appendChild(value);
+    
+    addSvgTitle(row, `Kind ${kind} (${getKindName(kind)}): ${count} events, ${share.toFixed(1)}%`);
+    svg.appendChild(row);
+  });
+  
+  container.appendChild(svg);
+}
+
+/**
+ * Draw a heatmap of events per day (or per week for long ranges), one row per kind
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {Object} dateRange - The queried date range
+ * @param {Date} [dateRange.startDate] - Start of the range
+ * @param {Date} [dateRange.endDate] - End of the range
+ * @param {string|number} selectedKind - The selected kind, or 'all'
+ * @param {Function} onSelect - Called with the kind number when a row is clicked
+ */
+function renderTimelineHeatmap(container, kindGroups, dateRange, selectedKind, onSelect) {
+  container.innerHTML = '';
+  
+  const kinds = getSortedKinds(kindGroups);
+  if (kinds.length === 0) return;
+  
+  // Fall back to the span of the events when the range is open-ended
+  let earliest = Infinity;
+  let latest = -Infinity;
+  kinds.forEach(kind => {
+    kindGroups[kind].forEach(event => {
+      earliest = Math.min(earliest, event.created_at);
+      latest = Math.max(latest, event.created_at);
+    });
+  });
+  
+  const rangeStart = startOfDay(dateRange.startDate || new Date(earliest * 1000));
+  const rangeEnd = startOfDay(dateRange.endDate || new Date(latest * 1000));
+  const days = Math.max(1, Math.round((rangeEnd - rangeStart) / MS_PER_DAY) + 1);
+  
+  const bucketDays = days > MAX_TIMELINE_DAYS ? 7 : 1;
+  const buckets = Math.ceil(days / bucketDays);
+  
+  // Count events per kind per bucket
+  let maxCount = 0;
+  const counts = {};
+  kinds.forEach(kind => {
+    counts[kind] = new Array(buckets).fill(0);
+    
+    kindGroups[kind].forEach(event => {
+      const day = Math.round((startOfDay(new Date(event.created_at * 1000)) - rangeStart) / MS_PER_DAY);
+      const bucket = Math.floor(day / bucketDays);
+      
+      if (bucket >= 0 && bucket < buckets) {
+        counts[kind][bucket]++;
+        maxCount = Math.max(maxCount, counts[kind][bucket]);
+      }
+    });
+  });
+  
+  const rowHeight = 16;
+  const labelWidth = 70;
+  const cellWidth = Math.max(3, Math.min(16, Math.floor(760 / buckets)));
+  const axisHeight = 18;
+  const width = labelWidth + buckets * cellWidth;
+  const height = kinds.length * rowHeight + axisHeight;
+  
+  const svg = createSvgElement('svg', {
+    class: 'kind-timeline-chart',
+    width,
+    height,
+    role: 'img',
+    'aria-label': `Events per ${bucketDays === 1 ? 'day' : 'week'} by kind`
+  });
+  
+  kinds.forEach((kind, index) => {
+    const row = createSvgElement('g', {
+      class: `chart-row${String(kind) === String(selectedKind) ? ' chart-selected' : ''}`,
+      transform: `translate(0, ${index * rowHeight})`
+    });
+    row.addEventListener('click', () => onSelect(kind));
+    
+    const label = createSvgElement('text', { x: labelWidth - 6, y: rowHeight / 2, 'text-anchor': 'end', 'dominant-baseline': 'middle' });
+    label.textContent = kind;
+    addSvgTitle(label, getKindName(kind));
+    row.appendChild(label);
+    
+    counts[kind].forEach((count, bucket) => {
+      if (count === 0) return;
+      
+      const bucketStart = new Date(rangeStart.getTime() + bucket * bucketDays * MS_PER_DAY);
+      
+      // Logarithmic intensity so a few busy days do not wash out the rest
+      const intensity = 0.2 + 0.8 * (Math.log(count + 1) / Math.log(maxCount + 1));
+      
+      const cell = createSvgElement('rect', {
+        x: labelWidth + bucket * cellWidth,
+        y: 1,
+        width: cellWidth - 1,
+        height: rowHeight - 2,
+        fill: getKindColor(kind),
+        'fill-opacity': intensity.toFixed(2)
+      });
+      addSvgTitle(cell, `${bucketStart.toLocaleDateString()}${bucketDays > 1 ? ' (week)' : ''}: ${count} kind ${kind} event${count === 1 ? '' : 's'}`);
+      row.appendChild(cell);
+    });
+    
+    svg.appendChild(row);
+  });
+  
+  // Date labels at the start and end of the axis
+  const axisY = kinds.length * rowHeight + axisHeight - 4;
+  const startLabel = createSvgElement('text', { x: labelWidth, y: axisY, class: 'chart-axis' });
+  startLabel.textContent = rangeStart.toLocaleDateString();
+  svg.appendChild(startLabel);
+  
+  const endLabel = createSvgElement('text', { x: width, y: axisY, 'text-anchor': 'end', class: 'chart-axis' });
+  endLabel.textContent = rangeEnd.toLocaleDateString();
+  svg.appendChild(endLabel);
+  
+  container.appendChild(svg);
+}
+
+/**
+ * Draw both kind charts
+ * @param {Object} kindGroups - Object with events grouped by kind
+ * @param {Object} dateRange - The queried date range (`startDate`, `endDate`)
+ * @param {string|number} selectedKind - The selected kind, or 'all'
+ * @param {Function} onSelect - Called with the kind number when a chart segment is clicked
+ */
+function displayKindCharts(kindGroups, dateRange, selectedKind, onSelect) {
+  const shareContainer = document.getElementById('kind-share-chart');
+  if (shareContainer) {
+    renderKindShareChart(shareContainer, kindGroups, selectedKind, onSelect);
+  }
+  
+  const timelineContainer = document.getElementById('kind-timeline-chart');
+  if (timelineContainer) {
+    renderTimelineHeatmap(timelineContainer, kindGroups, dateRange, selectedKind, onSelect);
+  }
+}
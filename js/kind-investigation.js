@@ -0,0 +1,190 @@
+/**
+ * Kind Investigation Module
+ * Handles describing the structure of a kind that is not in the registry from
+ * the fetched events: its tags, the shape and length of its content, its
+ * NIP-01 range and the clients that publish it
+ */
+
+/**
+ * Most tag names listed in an investigation
+ */
+const MAX_INVESTIGATED_TAGS = 20;
+
+/**
+ * Longest tag value shown as an example
+ */
+const MAX_TAG_EXAMPLE_LENGTH = 60;
+
+/**
+ * Shapes of event content told apart by classifyContent
+ */
+const CONTENT_SHAPES = {
+  EMPTY: 'empty',
+  JSON: 'JSON',
+  NIP44: 'NIP-44 ciphertext',
+  NIP04: 'NIP-04 ciphertext',
+  BASE64: 'base64',
+  MARKDOWN: 'Markdown',
+  PLAIN: 'plain text'
+};
+
+/**
+ * Lines or spans that mark content as Markdown: headings, list items, code
+ * fences, links and bold text
+ */
+const MARKDOWN_PATTERN = /^#{1,6}\s|^\s*[-*+]\s|^\s*\d+\.\s|^```|\[[^\]]+\]\([^)\s]+\)|\*\*[^*\n]+\*\*/m;
+
+/**
+ * Tell what kind of data an event's content holds
+ * @param {string} content - The event content
+ * @returns {string} One of CONTENT_SHAPES
+ */
+function classifyContent(content) {
+  const trimmed = content.trim();
+  
+  if (!trimmed) {
+    return CONTENT_SHAPES.EMPTY;
+  }
+  
+  if (/^[{[]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return CONTENT_SHAPES.JSON;
+    } catch (error) {
+      // Not JSON after all; keep looking
+    }
+  }
+  
+  // NIP-04: base64 ciphertext followed by the base64 initialization vector
+  if (/^[A-Za-z0-9+/]+={0,2}\?iv=[A-Za-z0-9+/]+={0,2}$/.test(trimmed)) {
+    return CONTENT_SHAPES.NIP04;
+  }
+  
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(trimmed) && trimmed.length % 4 === 0 && trimmed.length >= 16) {
+    // NIP-44 version 2 payloads start with the version byte 0x02 ("A" in base64)
+    // and are at least 132 characters long
+    return trimmed.startsWith('A') && trimmed.length >= 132 ? CONTENT_SHAPES.NIP44 : CONTENT_SHAPES.BASE64;
+  }
+  
+  return MARKDOWN_PATTERN.test(trimmed) ? CONTENT_SHAPES.MARKDOWN : CONTENT_SHAPES.PLAIN;
+}
+
+/**
+ * Describe the NIP-01 range a kind falls in
+ * @param {number} kind - The kind number
+ * @returns {string} The category and the range, e.g. "addressable (30000–39999)"
+ */
+function describeKindRange(kind) {
+  const category = getKindCategory(kind);
+  
+  if (kind === 0 || kind === 3) return `${category} (kinds 0 and 3)`;
+  if (kind === 1 || kind === 2 || (kind >= 4 && kind < 45)) return `${category} (kinds 1, 2 and 4–44)`;
+  if (kind >= 10000 && kind < 20000) return `${category} (10000–19999)`;
+  if (kind >= 20000 && kind < 30000) return `${category} (20000–29999)`;
+  if (kind >= 30000 && kind < 40000) return `${category} (30000–39999)`;
+  if (kind >= 1000 && kind < 10000) return `${category} (1000–9999)`;
+  
+  return `${category} (outside the ranges NIP-01 reserves)`;
+}
+
+/**
+ * Get the median of some numbers
+ * @param {number[]} values - The numbers, sorted in ascending order
+ * @returns {number} The median
+ */
+function getMedian(values) {
+  const middle = Math.floor(values.length / 2);
+  return values.length % 2 === 1 ? values[middle] : Math.round((values[middle - 1] + values[middle]) / 2);
+}
+
+/**
+ * Investigate the structure of a kind from its events
+ * @param {number} kind - The kind number
+ * @param {Object[]} events - The fetched events of the kind
+ * @param {Object} clientCounts - Event counts of the kind per client key, from analyzeEvents
+ * @param {Object} clients - Clients keyed by client key, from analyzeEvents
+ * @returns {Object} `kind`, `sampleSize`, `authors`, `range`, `tags` (with
+ *   `name`, `events`, `share`, `perEvent` and `example`), `contentShapes`
+ *   (with `shape`, `count` and `share`), `contentLength` (`min`, `median`,
+ *   `max`) and `clients` (with `name`, `count` and `inferred`)
+ */
+function investigateKind(kind, events, clientCounts, clients) {
+  const sampleSize = events.length;
+  const share = count => (sampleSize > 0 ? Math.round((count / sampleSize) * 100) : 0);
+  
+  // How many events carry each tag name, and how many times
+  const tagStats = {};
+  
+  events.forEach(event => {
+    const seen = new Set();
+    
+    event.tags.forEach(tag => {
+      const name = tag[0];
+      if (typeof name !== 'string' || !name) return;
+      
+      if (!tagStats[name]) {
+        tagStats[name] = { name, events: 0, occurrences: 0, example: null };
+      }
+      
+      tagStats[name].occurrences++;
+      
+      if (!seen.has(name)) {
+        seen.add(name);
+        tagStats[name].events++;
+      }
+      
+      if (tagStats[name].example === null && tag.length > 1) {
+        const example = tag.slice(1).join(', ');
+        tagStats[name].example = example.length > MAX_TAG_EXAMPLE_LENGTH
+          ? `${example.substring(0, MAX_TAG_EXAMPLE_LENGTH)}…`
+          : example;
+      }
+    });
+  });
+  
+  const tags = Object.values(tagStats)
+    .sort((a, b) => b.events - a.events || a.name.localeCompare(b.name))
+    .slice(0, MAX_INVESTIGATED_TAGS)
+    .map(stat => ({
+      name: stat.name,
+      events: stat.events,
+      share: share(stat.events),
+      perEvent: Math.round((stat.occurrences / stat.events) * 10) / 10,
+      example: stat.example || ''
+    }));
+  
+  // The shapes of the content
+  const shapeCounts = {};
+  events.forEach(event => {
+    const shape = classifyContent(event.content);
+    shapeCounts[shape] = (shapeCounts[shape] || 0) + 1;
+  });
+  
+  const contentShapes = Object.entries(shapeCounts)
+    .map(([shape, count]) => ({ shape, count, share: share(count) }))
+    .sort((a, b) => b.count - a.count);
+  
+  const lengths = events.map(event => event.content.length).sort((a, b) => a - b);
+  const contentLength = lengths.length > 0
+    ? { min: lengths[0], median: getMedian(lengths), max: lengths[lengths.length - 1] }
+    : { min: 0, median: 0, max: 0 };
+  
+  const clientRows = Object.entries(clientCounts)
+    .map(([key, count]) => ({
+      name: clients[key] ? clients[key].name : key,
+      count,
+      inferred: Boolean(clients[key] && clients[key].inferred)
+    }))
+    .sort((a, b) => b.count - a.count);
+  
+  return {
+    kind,
+    sampleSize,
+    authors: new Set(events.map(event => event.pubkey)).size,
+    range: describeKindRange(kind),
+    tags,
+    contentShapes,
+    contentLength,
+    clients: clientRows
+  };
+}
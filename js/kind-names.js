@@ -1,256 +1,276 @@
 /**
- * Mapping of Nostr event kinds to their friendly names
+ * Registry of Nostr event kinds
  * Based on NIPs (Nostr Implementation Possibilities)
  * https://github.com/nostr-protocol/nips
+ *
+ * Each entry has a name and the NIPs that define the kind, and may list the
+ * tags the kind is expected to carry, its content format (defaults to plain)
+ * and whether it is deprecated. The category follows from the kind number
+ * (see getKindCategory).
  */
-const KIND_NAMES = {
-  "0": "Metadata",
-  "1": "Short Text Note",
-  "2": "Recommend Relay",
-  "3": "Contacts",
-  "4": "Encrypted Direct Message",
-  "5": "Event Deletion",
-  "6": "Repost",
-  "7": "Reaction",
-  "8": "Badge Award",
-  "9": "Cancel Badge Award",
-  "10": "Job Request",
-  "11": "Job Result",
-  "12": "[51](51.md) | list entries should be chronological |",
-  "13": "\"pubkey\": \"<real author's pubkey>\"",
-  "14": "\"pubkey\": randomPublicKey",
-  "21": "`\"a\"` (software application event) |",
-  "40": "Channel Creation",
-  "41": "Channel Metadata",
-  "42": "Channel Message",
-  "43": "Channel Hide Message",
-  "44": "Channel Mute User",
-  "45": "Public Chat Reserved",
-  "64": "which can be read by humans and is also supported by most chess software.",
-  "818": "i.e. if one thinks `Shell structure` should redirect to `Thin-shell structure` they can issue one of these events instead of replicating the content. These events can be used for automatically redirecting between articles on a client",
-  "1018": "followed by one or more response tags.",
-  "1040": "<event-id>",
-  "1059": "content: nip44Encrypt(event",
-  "1063": "File Metadata",
-  "1068": "followed by an option label field.",
-  "1111": "Markdown",
-  "1311": "\"tags\": [",
-  "1337": "\"python\"",
-  "1621": "// Open",
-  "1984": "Reporting",
-  "1985": "including distributed moderation",
-  "5000": "published by a customer. This event signals that a customer is interested in receiving the result of some kind of compute.",
-  "5001": "where users request jobs to be processed in certain ways (e.g.",
-  "6000": "providing the output of the job result. They should tag the original job request event id as well as the customer's pubkey.",
-  "7000": "this can be interpreted as a suggestion to pay. Service Providers MUST use the `payment-required` feedback event to signal that a payment is required and no further actions will be performed until the payment is sent.",
-  "7375": "and multiple proofs inside each `kind:7375` event.",
-  "7376": "\"content\": nip44_encrypt([",
-  "9000": "in which case the user is assumed to be a member.",
-  "9009": "\"content\": \"optional reason\"",
-  "9021": "if the request is pending review",
-  "9041": "\"tags\": [",
-  "9321": "p-tagging the recipient. The outputs are P2PK-locked to the public key the recipient indicated in their `kind:10019` event.",
-  "9734": "Zap Request",
-  "9735": "Zap",
-  "9802": "a \"highlight\" event",
-  "10000": "Mute List",
-  "10001": "Pin List",
-  "10002": "Relay List Metadata",
-  "10019": "if no event is found",
-  "10050": "making it for a very simple and lightweight implementation that should be fast.",
-  "13194": "Wallet Info",
-  "17375": "\"content\": nip44_encrypt([",
-  "22242": "Client Authentication",
-  "23194": "Wallet Request",
-  "23195": "Wallet Response",
-  "24133": "Nostr Connect",
-  "30000": "Categorized People List",
-  "30001": "Categorized Bookmark List",
-  "30008": "Profile Badges",
-  "30009": "Badge Definition",
-  "30015": "users are expected to have more than one set of each kind",
-  "30017": "Create or update a stall",
-  "30018": "Create or update a product",
-  "30023": "Long-form Content",
-  "30078": "Application-specific Data",
-  "30311": "`Speaker`",
-  "30315": "where the `d` tag represents the status type:",
-  "30402": "Classifieds",
-  "30403": "whether included in the markdown content or not",
-  "30818": "and it's expected that multiple people will write articles about the exact same subjects",
-  "31337": "a `kind:31337`-centric client (tracks). Using Zapstr",
-  "31922": "if it exists.",
-  "31989": "Handler recommendation",
-  "31990": "Handler information",
-  "34550": "`\"r\"` for each relay in use |",
-  "39000": "who is an admin and with which permission or not",
-  "39001": "group state or metadata events.",
-  "39002": "to restrict what pubkeys can fetch it or to only display a subset of the members in it.",
-  "39003": "it's a relay policy that can vary. Roles can be assigned by other users (as long as they have the capability to add roles) by publishing a `kind:9000` event with that user's pubkey in a `p` tag and the roles afterwards (even if the user is already a group member a `kind:9000` can be issued and the user roles must just be updated)."
+const KIND_REGISTRY = {
+  "0": { "name": "User Metadata", "nips": ["01"], "content": "json" },
+  "1": { "name": "Short Text Note", "nips": ["10"], "tags": ["e", "p", "q", "t"] },
+  "2": { "name": "Recommend Relay", "nips": ["01"], "deprecated": true },
+  "3": { "name": "Follows", "nips": ["02"], "tags": ["p"] },
+  "4": { "name": "Encrypted Direct Messages", "nips": ["04"], "tags": ["p"], "content": "encrypted", "deprecated": true },
+  "5": { "name": "Event Deletion Request", "nips": ["09"], "tags": ["e", "a", "k"] },
+  "6": { "name": "Repost", "nips": ["18"], "tags": ["e", "p"], "content": "json" },
+  "7": { "name": "Reaction", "nips": ["25"], "tags": ["e", "p", "k"] },
+  "8": { "name": "Badge Award", "nips": ["58"], "tags": ["a", "p"] },
+  "9": { "name": "Chat Message", "nips": ["C7"], "tags": ["q"] },
+  "10": { "name": "Group Chat Threaded Reply", "nips": ["29"], "deprecated": true },
+  "11": { "name": "Thread", "nips": ["7D"], "tags": ["title"] },
+  "12": { "name": "Group Thread Reply", "nips": ["29"], "deprecated": true },
+  "13": { "name": "Seal", "nips": ["59"], "content": "encrypted" },
+  "14": { "name": "Direct Message", "nips": ["17"], "tags": ["p", "e", "subject"] },
+  "15": { "name": "File Message", "nips": ["17"], "tags": ["p", "file-type", "encryption-algorithm", "decryption-key", "x"] },
+  "16": { "name": "Generic Repost", "nips": ["18"], "tags": ["e", "p", "k"], "content": "json" },
+  "17": { "name": "Reaction to a website", "nips": ["25"], "tags": ["r"] },
+  "20": { "name": "Picture", "nips": ["68"], "tags": ["title", "imeta"] },
+  "21": { "name": "Video Event", "nips": ["71"], "tags": ["title", "imeta"] },
+  "22": { "name": "Short-form Portrait Video Event", "nips": ["71"], "tags": ["title", "imeta"] },
+  "40": { "name": "Channel Creation", "nips": ["28"], "content": "json" },
+  "41": { "name": "Channel Metadata", "nips": ["28"], "tags": ["e"], "content": "json" },
+  "42": { "name": "Channel Message", "nips": ["28"], "tags": ["e", "p"] },
+  "43": { "name": "Channel Hide Message", "nips": ["28"], "tags": ["e"], "content": "json" },
+  "44": { "name": "Channel Mute User", "nips": ["28"], "tags": ["p"], "content": "json" },
+  "62": { "name": "Request to Vanish", "nips": ["62"], "tags": ["relay"] },
+  "64": { "name": "Chess (PGN)", "nips": ["64"] },
+  "818": { "name": "Merge Requests", "nips": ["54"], "tags": ["a", "e", "p"] },
+  "1018": { "name": "Poll Response", "nips": ["88"], "tags": ["e", "response"] },
+  "1021": { "name": "Bid", "nips": ["15"], "tags": ["e"] },
+  "1022": { "name": "Bid confirmation", "nips": ["15"], "tags": ["e"], "content": "json" },
+  "1040": { "name": "OpenTimestamps", "nips": ["03"], "tags": ["e", "k"] },
+  "1059": { "name": "Gift Wrap", "nips": ["59"], "tags": ["p"], "content": "encrypted" },
+  "1063": { "name": "File Metadata", "nips": ["94"], "tags": ["url", "m", "x"] },
+  "1068": { "name": "Poll", "nips": ["88"], "tags": ["option", "polltype", "endsAt"] },
+  "1111": { "name": "Comment", "nips": ["22"], "tags": ["E", "K", "P", "e", "k", "p"] },
+  "1222": { "name": "Voice Message", "nips": ["A0"], "tags": ["imeta"] },
+  "1244": { "name": "Voice Message Comment", "nips": ["A0"], "tags": ["E", "K", "P", "e", "k", "p"] },
+  "1311": { "name": "Live Chat Message", "nips": ["53"], "tags": ["a"] },
+  "1337": { "name": "Code Snippet", "nips": ["C0"], "tags": ["l", "name", "extension"] },
+  "1617": { "name": "Patches", "nips": ["34"], "tags": ["a", "p"] },
+  "1621": { "name": "Issues", "nips": ["34"], "tags": ["a", "p", "subject"], "content": "markdown" },
+  "1622": { "name": "Git Replies", "nips": ["34"], "deprecated": true },
+  "1984": { "name": "Reporting", "nips": ["56"], "tags": ["p", "e"] },
+  "1985": { "name": "Label", "nips": ["32"], "tags": ["L", "l"] },
+  "2003": { "name": "Torrent", "nips": ["35"], "tags": ["x", "file", "title"] },
+  "2004": { "name": "Torrent Comment", "nips": ["35"], "tags": ["e"] },
+  "4550": { "name": "Community Post Approval", "nips": ["72"], "tags": ["a", "e", "p", "k"], "content": "json" },
+  "7000": { "name": "Job Feedback", "nips": ["90"], "tags": ["status", "e", "p"] },
+  "7374": { "name": "Reserved Cashu Wallet Tokens", "nips": ["60"], "content": "encrypted" },
+  "7375": { "name": "Cashu Wallet Tokens", "nips": ["60"], "content": "encrypted" },
+  "7376": { "name": "Cashu Wallet History", "nips": ["60"], "content": "encrypted" },
+  "9041": { "name": "Zap Goal", "nips": ["75"], "tags": ["amount", "relays"] },
+  "9321": { "name": "Nutzap", "nips": ["61"], "tags": ["proof", "u", "p", "e"] },
+  "9734": { "name": "Zap Request", "nips": ["57"], "tags": ["relays", "amount", "lnurl", "p", "e"] },
+  "9735": { "name": "Zap", "nips": ["57"], "tags": ["bolt11", "description", "p", "e"] },
+  "9802": { "name": "Highlights", "nips": ["84"], "tags": ["a", "e", "r", "p"] },
+  "10000": { "name": "Mute list", "nips": ["51"], "tags": ["p", "t", "word", "e"] },
+  "10001": { "name": "Pin list", "nips": ["51"], "tags": ["e"] },
+  "10002": { "name": "Relay List Metadata", "nips": ["65", "51"], "tags": ["r"] },
+  "10003": { "name": "Bookmark list", "nips": ["51"], "tags": ["e", "a"] },
+  "10004": { "name": "Communities list", "nips": ["51"], "tags": ["a"] },
+  "10005": { "name": "Public chats list", "nips": ["51"], "tags": ["e"] },
+  "10006": { "name": "Blocked relays list", "nips": ["51"], "tags": ["relay"] },
+  "10007": { "name": "Search relays list", "nips": ["51"], "tags": ["relay"] },
+  "10009": { "name": "User groups", "nips": ["51", "29"], "tags": ["group", "r"] },
+  "10012": { "name": "Favorite relays list", "nips": ["51"], "tags": ["relay", "a"] },
+  "10013": { "name": "Private event relay list", "nips": ["37"], "content": "encrypted" },
+  "10015": { "name": "Interests list", "nips": ["51"], "tags": ["t", "a"] },
+  "10019": { "name": "Nutzap Mint Recommendation", "nips": ["61"], "tags": ["relay", "mint", "pubkey"] },
+  "10020": { "name": "Media follows", "nips": ["51"], "tags": ["p"] },
+  "10030": { "name": "User emoji list", "nips": ["51"], "tags": ["emoji", "a"] },
+  "10050": { "name": "Relay list to receive DMs", "nips": ["51", "17"], "tags": ["relay"] },
+  "10096": { "name": "File storage server list", "nips": ["96"], "tags": ["server"], "deprecated": true },
+  "10166": { "name": "Relay Monitor Announcement", "nips": ["66"], "tags": ["frequency", "c"] },
+  "13194": { "name": "Wallet Info", "nips": ["47"] },
+  "17375": { "name": "Cashu Wallet Event", "nips": ["60"], "content": "encrypted" },
+  "22242": { "name": "Client Authentication", "nips": ["42"], "tags": ["relay", "challenge"] },
+  "23194": { "name": "Wallet Request", "nips": ["47"], "tags": ["p"], "content": "encrypted" },
+  "23195": { "name": "Wallet Response", "nips": ["47"], "tags": ["p", "e"], "content": "encrypted" },
+  "24133": { "name": "Nostr Connect", "nips": ["46"], "tags": ["p"], "content": "encrypted" },
+  "27235": { "name": "HTTP Auth", "nips": ["98"], "tags": ["u", "method", "payload"] },
+  "30000": { "name": "Follow sets", "nips": ["51"], "tags": ["d", "p"] },
+  "30001": { "name": "Generic lists", "nips": ["51"], "tags": ["d"], "deprecated": true },
+  "30002": { "name": "Relay sets", "nips": ["51"], "tags": ["d", "relay"] },
+  "30003": { "name": "Bookmark sets", "nips": ["51"], "tags": ["d", "e", "a"] },
+  "30004": { "name": "Curation sets", "nips": ["51"], "tags": ["d", "a", "e"] },
+  "30005": { "name": "Video sets", "nips": ["51"], "tags": ["d", "e"] },
+  "30007": { "name": "Kind mute sets", "nips": ["51"], "tags": ["d", "p"] },
+  "30008": { "name": "Profile Badges", "nips": ["58"], "tags": ["d", "a", "e"] },
+  "30009": { "name": "Badge Definition", "nips": ["58"], "tags": ["d", "name", "image"] },
+  "30015": { "name": "Interest sets", "nips": ["51"], "tags": ["d", "t"] },
+  "30017": { "name": "Create or update a stall", "nips": ["15"], "tags": ["d"], "content": "json" },
+  "30018": { "name": "Create or update a product", "nips": ["15"], "tags": ["d", "t"], "content": "json" },
+  "30019": { "name": "Marketplace UI/UX", "nips": ["15"], "tags": ["d"], "content": "json" },
+  "30020": { "name": "Product sold as an auction", "nips": ["15"], "tags": ["d"], "content": "json" },
+  "30023": { "name": "Long-form Content", "nips": ["23"], "tags": ["d", "title", "summary", "image", "published_at"], "content": "markdown" },
+  "30024": { "name": "Draft Long-form Content", "nips": ["23"], "tags": ["d", "title"], "content": "markdown" },
+  "30030": { "name": "Emoji sets", "nips": ["51"], "tags": ["d", "emoji"] },
+  "30063": { "name": "Release artifact sets", "nips": ["51"], "tags": ["d", "e", "a"] },
+  "30078": { "name": "Application-specific Data", "nips": ["78"], "tags": ["d"] },
+  "30166": { "name": "Relay Discovery", "nips": ["66"], "tags": ["d", "n", "N", "R", "T"] },
+  "30267": { "name": "App curation sets", "nips": ["51"], "tags": ["d", "a"] },
+  "30311": { "name": "Live Event", "nips": ["53"], "tags": ["d", "title", "status", "p"] },
+  "30312": { "name": "Interactive Room", "nips": ["53"], "tags": ["d", "room", "status"] },
+  "30313": { "name": "Conference Event", "nips": ["53"], "tags": ["d", "a", "title", "starts"] },
+  "30315": { "name": "User Statuses", "nips": ["38"], "tags": ["d", "r", "expiration"] },
+  "30402": { "name": "Classified Listing", "nips": ["99"], "tags": ["d", "title", "summary", "price", "published_at"], "content": "markdown" },
+  "30403": { "name": "Draft Classified Listing", "nips": ["99"], "tags": ["d", "title"], "content": "markdown" },
+  "30617": { "name": "Repository announcements", "nips": ["34"], "tags": ["d", "name", "clone", "web"] },
+  "30618": { "name": "Repository state announcements", "nips": ["34"], "tags": ["d", "HEAD"] },
+  "30818": { "name": "Wiki article", "nips": ["54"], "tags": ["d", "title"] },
+  "30819": { "name": "Redirects", "nips": ["54"], "tags": ["d", "a"] },
+  "31234": { "name": "Draft Event", "nips": ["37"], "tags": ["d", "k", "expiration"], "content": "encrypted" },
+  "31922": { "name": "Date-Based Calendar Event", "nips": ["52"], "tags": ["d", "title", "start"] },
+  "31923": { "name": "Time-Based Calendar Event", "nips": ["52"], "tags": ["d", "title", "start"] },
+  "31924": { "name": "Calendar", "nips": ["52"], "tags": ["d", "title", "a"] },
+  "31925": { "name": "Calendar Event RSVP", "nips": ["52"], "tags": ["d", "a", "status"] },
+  "31989": { "name": "Handler recommendation", "nips": ["89"], "tags": ["d", "a"] },
+  "31990": { "name": "Handler information", "nips": ["89"], "tags": ["d", "k"], "content": "json" },
+  "34550": { "name": "Community Definition", "nips": ["72"], "tags": ["d", "name", "p"] },
+  "38383": { "name": "Peer-to-peer Order events", "nips": ["69"], "tags": ["d", "k", "s", "amt"] }
 };
 
 /**
- * Get the friendly name for a kind
- * @param {number} kind - The kind number
- * @returns {string} The friendly name or "Kind X" if not found
+ * Kind ranges defined as a whole rather than kind by kind
  */
-function getKindName(kind) {
-  return KIND_NAMES[kind] || `Kind ${kind}`;
-}
+const KIND_RANGES = [
+  { "from": 1630, "to": 1633, "name": "Status", "nips": ["34"], "tags": ["e", "p"] },
+  { "from": 5000, "to": 5999, "name": "Job Request", "nips": ["90"], "tags": ["i", "output", "param", "bid"] },
+  { "from": 6000, "to": 6999, "name": "Job Result", "nips": ["90"], "tags": ["request", "e", "p", "i"] },
+  { "from": 9000, "to": 9030, "name": "Group Control Events", "nips": ["29"], "tags": ["h"] },
+  { "from": 39000, "to": 39009, "name": "Group metadata events", "nips": ["29"], "tags": ["d"] }
+];
+
+/**
+ * Kind categories from NIP-01
+ */
+const KIND_CATEGORIES = {
+  REGULAR: 'regular',
+  REPLACEABLE: 'replaceable',
+  EPHEMERAL: 'ephemeral',
+  ADDRESSABLE: 'addressable'
+};
 
 /**
- * Lookup an unknown kind name from the Nostr NIPs repository
- * This is an asynchronous function that will query the GitHub API
- * @param {number} kind - The kind number to look up
- * @returns {Promise<string>} A promise that resolves to the kind name
+ * Content formats used in the registry
  */
-async function lookupUnknownKind(kind) {
-  if (KIND_NAMES[kind]) {
-    return KIND_NAMES[kind];
+const CONTENT_FORMATS = {
+  PLAIN: 'plain',
+  JSON: 'json',
+  ENCRYPTED: 'encrypted',
+  MARKDOWN: 'markdown'
+};
+
+/**
+ * localStorage key the user's labels for unregistered kinds are stored under
+ */
+const KIND_LABELS_STORAGE_KEY = 'nostr-kind-explorer.kind-labels';
+
+// The user's kind labels, once read from localStorage
+let kindLabels = null;
+
+/**
+ * Get the category of a kind from its number, as defined in NIP-01
+ * @param {number} kind - The kind number
+ * @returns {string} One of KIND_CATEGORIES
+ */
+function getKindCategory(kind) {
+  if (kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000)) {
+    return KIND_CATEGORIES.REPLACEABLE;
   }
   
-  try {
-    const response = await fetch(
-      `https://api.github.com/search/code?q=repo:nostr-protocol/nips+/kind.*\\b${kind}\\b/`,
-      {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (data.items && data.items.length > 0) {
-      // Process the first result
-      const item = data.items[0];
-      
-      // Fetch the file content to extract the kind name
-      const fileResponse = await fetch(item.url, {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      
-      if (!fileResponse.ok) {
-        throw new Error(`GitHub API error: ${fileResponse.status}`);
-      }
-      
-      const fileData = await fileResponse.json();
-      
-      // Look for a pattern like "kind: X, <description>"
-      const content = atob(fileData.content);
-      const kindRegex = new RegExp(`kind:\\s*${kind}[^,]*,\\s*([^\\n\\r]+)`, 'i');
-      const match = content.match(kindRegex);
-      
-      if (match && match[1]) {
-        const kindName = match[1].trim();
-        // Cache the result
-        KIND_NAMES[kind] = kindName;
-        return kindName;
-      }
-    }
-    
-    // If no match found, return the default
-    return `Kind ${kind}`;
-  } catch (error) {
-    console.error(`Error looking up kind ${kind}:`, error);
-    return `Kind ${kind}`;
+  if (kind >= 20000 && kind < 30000) {
+    return KIND_CATEGORIES.EPHEMERAL;
   }
+  
+  if (kind >= 30000 && kind < 40000) {
+    return KIND_CATEGORIES.ADDRESSABLE;
+  }
+  
+  return KIND_CATEGORIES.REGULAR;
 }
 
 /**
- * Generate a kind name generator script
- * This is a utility function that can be used to generate a script
- * that will fetch kind names from the Nostr NIPs repository
- * @returns {string} A script that can be used to generate kind names
+ * Get everything known about a kind
+ * @param {number} kind - The kind number
+ * @returns {Object} The kind's `name`, `nips`, `category`, `tags`, `content`,
+ *   `deprecated`, `known` (false when the kind is not in the registry) and
+ *   `label` (the user's label for an unregistered kind, or null)
  */
-function generateKindNameScript() {
-  return `
-// This script fetches kind names from the Nostr NIPs repository
-// Run it with Node.js to generate a kind-names.json file
-
-const fs = require('fs');
-const https = require('https');
+function getKindInfo(kind) {
+  const kindNumber = parseInt(kind, 10);
+  const entry = KIND_REGISTRY[kindNumber]
+    || KIND_RANGES.find(range => kindNumber >= range.from && kindNumber <= range.to);
+  const label = entry ? null : getKindLabels()[kindNumber] || null;
+  
+  return {
+    kind: kindNumber,
+    name: entry ? entry.name : label || `Kind ${kindNumber}`,
+    nips: entry ? entry.nips : [],
+    category: getKindCategory(kindNumber),
+    tags: (entry && entry.tags) || [],
+    content: (entry && entry.content) || CONTENT_FORMATS.PLAIN,
+    deprecated: Boolean(entry && entry.deprecated),
+    known: Boolean(entry),
+    label
+  };
+}
 
-// Base kinds we know
-const kindNames = ${JSON.stringify(KIND_NAMES, null, 2)};
+/**
+ * Get the friendly name for a kind
+ * @param {number} kind - The kind number
+ * @returns {string} The friendly name or "Kind X" if not found
+ */
+function getKindName(kind) {
+  return getKindInfo(kind).name;
+}
 
-// Function to make a GitHub API request
-function githubRequest(url) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      headers: {
-        'User-Agent': 'Nostr-Kind-Explorer',
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    };
-    
-    https.get(url, options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(JSON.parse(data));
-        } else {
-          reject(new Error(\`GitHub API error: \${res.statusCode}\`));
-        }
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
+/**
+ * Get the URL of a NIP in the NIPs repository
+ * @param {string} nip - The NIP identifier (e.g. "01" or "7D")
+ * @returns {string} The URL of the NIP
+ */
+function getNipUrl(nip) {
+  return `https://github.com/nostr-protocol/nips/blob/master/${nip}.md`;
 }
 
-// Main function
-async function fetchKindNames() {
-  try {
-    // Search for kind definitions in NIPs
-    const searchUrl = 'https://api.github.com/search/code?q=repo:nostr-protocol/nips+kind';
-    const searchData = await githubRequest(searchUrl);
-    
-    // Process each result
-    for (const item of searchData.items) {
-      // Fetch the file content
-      const fileUrl = item.url;
-      const fileData = await githubRequest(fileUrl);
-      
-      // Decode the content
-      const content = Buffer.from(fileData.content, 'base64').toString('utf-8');
-      
-      // Look for kind definitions
-      const kindRegex = /kind:\\s*(\\d+)[^,]*,\\s*([^\\n\\r]+)/gi;
-      let match;
-      
-      while ((match = kindRegex.exec(content)) !== null) {
-        const kind = parseInt(match[1], 10);
-        const name = match[2].trim();
-        
-        // Add to our map if not already present
-        if (!kindNames[kind]) {
-          kindNames[kind] = name;
-          console.log(\`Found kind \${kind}: \${name}\`);
-        }
-      }
+/**
+ * Read the labels the user gave to kinds not in the registry
+ * Labels are read from localStorage once and kept in memory.
+ * @returns {Object} Labels keyed by kind number
+ */
+function getKindLabels() {
+  if (kindLabels === null) {
+    try {
+      kindLabels = JSON.parse(localStorage.getItem(KIND_LABELS_STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+      console.error('Error reading kind labels:', error);
+      kindLabels = {};
     }
-    
-    // Write to JSON file
-    fs.writeFileSync('kind-names.json', JSON.stringify(kindNames, null, 2));
-    console.log('Kind names written to kind-names.json');
-    
-  } catch (error) {
-    console.error('Error fetching kind names:', error);
   }
+  
+  return kindLabels;
 }
 
-fetchKindNames();
-  `;
+/**
+ * Label a kind that is not in the registry, or remove its label
+ * @param {number} kind - The kind number
+ * @param {string} label - The label (empty to remove it)
+ */
+function setKindLabel(kind, label) {
+  const labels = { ...getKindLabels() };
+  const trimmed = (label || '').trim();
+  
+  if (trimmed) {
+    labels[kind] = trimmed;
+  } else {
+    delete labels[kind];
+  }
+  
+  localStorage.setItem(KIND_LABELS_STORAGE_KEY, JSON.stringify(labels));
+  kindLabels = labels;
 }
@@ -0,0 +1,721 @@
+/**
+ * Kind Renderers Module
+ * Handles rendering events in a form suited to their kind
+ * Renderers are registered by kind in KIND_RENDERERS; kinds without a renderer
+ * are shown as raw JSON only.
+ */
+
+/**
+ * Number of list entries (follows, relays) shown before the rest is collapsed
+ */
+const MAX_RENDERED_ENTRIES = 20;
+
+const IMAGE_URL_PATTERN = /\.(png|jpe?g|gif|webp|svg|avif)(\?[^\s]*)?$/i;
+const VIDEO_URL_PATTERN = /\.(mp4|webm|mov|m4v)(\?[^\s]*)?$/i;
+
+/**
+ * Matches URLs and NIP-21 `nostr:` references in text
+ */
+const CONTENT_TOKEN_PATTERN = /(https?:\/\/[^\s<>"]+|nostr:(?:npub|nprofile|note|nevent|naddr)1[02-9ac-hj-np-z]+)/gi;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check that a URL is safe to use in a link or media element
+ * @param {string} url - The URL
+ * @returns {boolean} True for http(s) URLs
+ */
+function isSafeUrl(url) {
+  return /^https?:\/\//i.test(url || '');
+}
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag - The tag name
+ * @param {string} [className] - The class name
+ * @param {string} [text] - The text content
+ * @returns {HTMLElement} The element
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  
+  if (className) {
+    element.className = className;
+  }
+  
+  if (text !== undefined && text !== null) {
+    element.textContent = text;
+  }
+  
+  return element;
+}
+
+/**
+ * Create a labelled row for a renderer
+ * @param {string} label - The field label
+ * @param {string|HTMLElement} value - The field value
+ * @returns {HTMLElement} The row element
+ */
+function createField(label, value) {
+  const row = createElement('div', 'render-field');
+  row.appendChild(createElement('span', 'render-label', `${label}: `));
+  
+  if (value instanceof HTMLElement) {
+    row.appendChild(value);
+  } else {
+    row.appendChild(createElement('span', 'render-value', value));
+  }
+  
+  return row;
+}
+
+/**
+ * Create an external link
+ * @param {string} url - The URL
+ * @param {string} [text] - The link text (defaults to the URL)
+ * @returns {HTMLElement} A link, or plain text if the URL is not http(s)
+ */
+function createLink(url, text) {
+  if (!isSafeUrl(url)) {
+    return createElement('span', null, text || url);
+  }
+  
+  const link = createElement('a', null, text || url);
+  link.href = url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  return link;
+}
+
+/**
+ * Create a link that explores a NIP-19 entity in this explorer
+ * @param {string} entity - The NIP-19 entity (npub, nprofile, note, nevent, naddr)
+ * @param {string} [text] - The link text
+ * @returns {HTMLElement} The link
+ */
+function createEntityLink(entity, text) {
+  const link = createElement('a', 'entity-link', text || `${entity.substring(0, 16)}…`);
+  link.href = '#';
+  link.title = entity;
+  link.addEventListener('click', (event) => {
+    event.preventDefault();
+    exploreIdentifier(entity);
+  });
+  return link;
+}
+
+/**
+ * Create a link for a pubkey
+ * @param {string} pubkey - Public key in hex format
+ * @returns {HTMLElement} The link (or text if the key is malformed)
+ */
+function createPubkeyLink(pubkey) {
+  try {
+    return createEntityLink(window.NostrTools.nip19.npubEncode(pubkey), formatPubkey(pubkey));
+  } catch (error) {
+    return createElement('span', null, pubkey);
+  }
+}
+
+/**
+ * Create a link for an event id
+ * @param {string} id - Event id in hex format
+ * @returns {HTMLElement} The link (or text if the id is malformed)
+ */
+function createEventIdLink(id) {
+  try {
+    const note = window.NostrTools.nip19.noteEncode(id);
+    return createEntityLink(note, `${note.substring(0, 14)}…`);
+  } catch (error) {
+    return createElement('span', null, id);
+  }
+}
+
+/**
+ * Get the values of all tags with a given name
+ * @param {Object} event - Nostr event object
+ * @param {string} name - The tag name
+ * @returns {string[][]} The matching tags
+ */
+function getTags(event, name) {
+  return event.tags.filter(tag => tag[0] === name);
+}
+
+/**
+ * Get the first value of a tag
+ * @param {Object} event - Nostr event object
+ * @param {string} name - The tag name
+ * @returns {string|undefined} The tag value
+ */
+function getTagValue(event, name) {
+  const tag = event.tags.find(candidate => candidate[0] === name);
+  return tag ? tag[1] : undefined;
+}
+
+/**
+ * Render text with links, nostr: mentions and media
+ * @param {string} text - The text to render
+ * @returns {HTMLElement} The rendered text
+ */
+function renderRichText(text) {
+  const container = createElement('div', 'render-text');
+  const media = [];
+  let lastIndex = 0;
+  
+  text.replace(CONTENT_TOKEN_PATTERN, (token, match, offset) => {
+    container.appendChild(document.createTextNode(text.substring(lastIndex, offset)));
+    
+    if (token.toLowerCase().startsWith('nostr:')) {
+      container.appendChild(createEntityLink(token.substring(6)));
+    } else {
+      container.appendChild(createLink(token));
+      
+      if (IMAGE_URL_PATTERN.test(token) || VIDEO_URL_PATTERN.test(token)) {
+        media.push(token);
+      }
+    }
+    
+    lastIndex = offset + token.length;
+    return token;
+  });
+  
+  container.appendChild(document.createTextNode(text.substring(lastIndex)));
+  
+  // Show media below the text
+  if (media.length > 0) {
+    const mediaContainer = createElement('div', 'render-media');
+    
+    media.forEach(url => {
+      if (IMAGE_URL_PATTERN.test(url)) {
+        const image = createElement('img');
+        image.src = url;
+        image.loading = 'lazy';
+        image.alt = '';
+        mediaContainer.appendChild(image);
+      } else {
+        const video = createElement('video');
+        video.src = url;
+        video.controls = true;
+        video.preload = 'none';
+        mediaContainer.appendChild(video);
+      }
+    });
+    
+    container.appendChild(mediaContainer);
+  }
+  
+  return container;
+}
+
+/**
+ * Render inline Markdown (code, bold, italics, links and images) in escaped text
+ * @param {string} text - HTML-escaped text
+ * @returns {string} HTML
+ */
+function renderInlineMarkdown(text) {
+  return text
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/!\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g, '<img src="$2" alt="$1" loading="lazy">')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/(^|\s)_([^_\s][^_]*)_/g, '$1<em>$2</em>');
+}
+
+/**
+ * Render Markdown to HTML
+ * Supports headings, paragraphs, lists, block quotes, fenced code and inline
+ * formatting. All text is escaped before formatting is applied.
+ * @param {string} markdown - The Markdown source
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let inCode = false;
+  let code = [];
+  
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInlineMarkdown(escapeHtml(paragraph.join(' ')))}</p>`);
+      paragraph = [];
+    }
+  };
+  
+  const flushList = () => {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(escapeHtml(item))}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+  
+  lines.forEach(line => {
+    if (line.trim().startsWith('```')) {
+      if (inCode) {
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        code = [];
+        inCode = false;
+      } else {
+        flushParagraph();
+        flushList();
+        inCode = true;
+      }
+      return;
+    }
+    
+    if (inCode) {
+      code.push(line);
+      return;
+    }
+    
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+    
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInlineMarkdown(escapeHtml(heading[2]))}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (!list || list.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+    } else if (quote) {
+      flushParagraph();
+      flushList();
+      html.push(`<blockquote>${renderInlineMarkdown(escapeHtml(quote[1]))}</blockquote>`);
+    } else if (line.trim() === '') {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  });
+  
+  if (inCode) {
+    html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  }
+  flushParagraph();
+  flushList();
+  
+  return html.join('\n');
+}
+
+/**
+ * Decode the amount of a BOLT11 invoice from its human-readable part
+ * @param {string} invoice - The BOLT11 invoice
+ * @returns {number|null} The amount in millisatoshis, or null if the invoice has no amount
+ */
+function decodeBolt11Amount(invoice) {
+  if (!invoice) return null;
+  
+  const lower = invoice.toLowerCase().replace(/^lightning:/, '');
+  const separator = lower.lastIndexOf('1');
+  if (separator === -1) return null;
+  
+  const match = lower.substring(0, separator).match(/^ln(?:bcrt|bc|tbs|tb|sb)(\d*)([munp]?)$/);
+  if (!match || match[1] === '') return null;
+  
+  const value = parseInt(match[1], 10);
+  
+  // Millisatoshis per unit of each multiplier (1 BTC = 1e11 msat)
+  const msatPerUnit = { '': 1e11, m: 1e8, u: 1e5, n: 100, p: 0.1 };
+  return value * msatPerUnit[match[2]];
+}
+
+/**
+ * Format millisatoshis as sats
+ * @param {number} msats - Amount in millisatoshis
+ * @returns {string} The formatted amount
+ */
+function formatSats(msats) {
+  const sats = msats / 1000;
+  return `${sats.toLocaleString(undefined, { maximumFractionDigits: 3 })} sats`;
+}
+
+/**
+ * Render the referenced event and author of an event (last `e` and `p` tags)
+ * @param {Object} event - Nostr event object
+ * @param {HTMLElement} container - Element to add the fields to
+ * @param {string} [pubkeyLabel] - Label for the `p` tag pubkey
+ */
+function renderTargetFields(event, container, pubkeyLabel = 'Author') {
+  const eTags = getTags(event, 'e');
+  const pTags = getTags(event, 'p');
+  
+  if (eTags.length > 0) {
+    container.appendChild(createField('Event', createEventIdLink(eTags[eTags.length - 1][1])));
+  }
+  
+  if (pTags.length > 0) {
+    container.appendChild(createField(pubkeyLabel, createPubkeyLink(pTags[pTags.length - 1][1])));
+  }
+  
+  const aTag = getTagValue(event, 'a');
+  if (aTag) {
+    container.appendChild(createField('Address', aTag));
+  }
+}
+
+/**
+ * Render a kind 0 profile card
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered profile
+ */
+function renderProfile(event) {
+  const card = createElement('div', 'render-profile');
+  
+  let profile;
+  try {
+    profile = JSON.parse(event.content);
+  } catch (error) {
+    card.appendChild(createElement('p', 'render-warning', 'Profile content is not valid JSON.'));
+    return card;
+  }
+  
+  if (!profile || typeof profile !== 'object') {
+    card.appendChild(createElement('p', 'render-warning', 'Profile content is not a JSON object.'));
+    return card;
+  }
+  
+  if (isSafeUrl(profile.banner)) {
+    const banner = createElement('img', 'profile-banner');
+    banner.src = profile.banner;
+    banner.loading = 'lazy';
+    banner.alt = '';
+    card.appendChild(banner);
+  }
+  
+  const headline = createElement('div', 'profile-headline');
+  
+  if (isSafeUrl(profile.picture)) {
+    const picture = createElement('img', 'profile-picture');
+    picture.src = profile.picture;
+    picture.loading = 'lazy';
+    picture.alt = '';
+    headline.appendChild(picture);
+  }
+  
+  const names = createElement('div');
+  names.appendChild(createElement('strong', null, profile.display_name || profile.displayName || profile.name || 'Unnamed'));
+  if (profile.name && (profile.display_name || profile.displayName)) {
+    names.appendChild(createElement('span', 'profile-handle', ` @${profile.name}`));
+  }
+  headline.appendChild(names);
+  card.appendChild(headline);
+  
+  if (profile.about) {
+    card.appendChild(renderRichText(String(profile.about)));
+  }
+  
+  if (profile.nip05) card.appendChild(createField('NIP-05', String(profile.nip05)));
+  if (profile.website) card.appendChild(createField('Website', createLink(String(profile.website))));
+  if (profile.lud16) card.appendChild(createField('Lightning', String(profile.lud16)));
+  
+  return card;
+}
+
+/**
+ * Render a kind 1 text note
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered note
+ */
+function renderNote(event) {
+  const note = createElement('div', 'render-note');
+  note.appendChild(renderRichText(event.content));
+  
+  const hashtags = getTags(event, 't').map(tag => `#${tag[1]}`);
+  if (hashtags.length > 0) {
+    note.appendChild(createElement('div', 'render-hashtags', hashtags.join(' ')));
+  }
+  
+  return note;
+}
+
+/**
+ * Render a kind 3 follow list
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered follow list
+ */
+function renderFollowList(event) {
+  const container = createElement('div', 'render-follows');
+  const follows = getTags(event, 'p');
+  const hashtags = getTags(event, 't');
+  
+  container.appendChild(createField('Follows', `${follows.length} profile${follows.length === 1 ? '' : 's'}`));
+  
+  if (hashtags.length > 0) {
+    container.appendChild(createField('Followed hashtags', hashtags.map(tag => `#${tag[1]}`).join(' ')));
+  }
+  
+  // Legacy relay list stored as JSON in the content
+  if (event.content) {
+    try {
+      const relays = Object.keys(JSON.parse(event.content));
+      container.appendChild(createField('Relays in content (legacy)', String(relays.length)));
+    } catch (error) {
+      // Content is not a relay list
+    }
+  }
+  
+  if (follows.length > 0) {
+    const details = createElement('details');
+    details.appendChild(createElement('summary', null, 'Show follows'));
+    
+    const list = createElement('ul', 'render-list');
+    follows.slice(0, MAX_RENDERED_ENTRIES).forEach(tag => {
+      const item = createElement('li');
+      item.appendChild(createPubkeyLink(tag[1]));
+      if (tag[3]) item.appendChild(createElement('span', 'profile-handle', ` ${tag[3]}`));
+      list.appendChild(item);
+    });
+    
+    if (follows.length > MAX_RENDERED_ENTRIES) {
+      list.appendChild(createElement('li', null, `…and ${follows.length - MAX_RENDERED_ENTRIES} more`));
+    }
+    
+    details.appendChild(list);
+    container.appendChild(details);
+  }
+  
+  return container;
+}
+
+/**
+ * Render a kind 6 or 16 repost
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered repost
+ */
+function renderRepost(event) {
+  const container = createElement('div', 'render-repost');
+  renderTargetFields(event, container);
+  
+  const repostedKind = getTagValue(event, 'k');
+  if (repostedKind) {
+    container.appendChild(createField('Reposted kind', `${repostedKind} (${getKindName(parseInt(repostedKind, 10))})`));
+  }
+  
+  // The reposted event may be embedded in the content
+  if (event.content) {
+    try {
+      const reposted = JSON.parse(event.content);
+      const quote = createElement('blockquote', 'render-quote');
+      quote.appendChild(renderRichText(String(reposted.content || '')));
+      container.appendChild(quote);
+    } catch (error) {
+      container.appendChild(createElement('p', 'render-warning', 'Embedded event is not valid JSON.'));
+    }
+  }
+  
+  return container;
+}
+
+/**
+ * Render a kind 7 reaction
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered reaction
+ */
+function renderReaction(event) {
+  const container = createElement('div', 'render-reaction');
+  
+  let reaction;
+  if (event.content === '+' || event.content === '') {
+    reaction = createElement('span', 'reaction-symbol', '👍 like');
+  } else if (event.content === '-') {
+    reaction = createElement('span', 'reaction-symbol', '👎 dislike');
+  } else {
+    // Custom emoji (NIP-30) are given as :shortcode: with an emoji tag
+    const shortcode = event.content.match(/^:([\w-]+):$/);
+    const emojiTag = shortcode && getTags(event, 'emoji').find(tag => tag[1] === shortcode[1]);
+    
+    if (emojiTag && isSafeUrl(emojiTag[2])) {
+      reaction = createElement('img', 'reaction-emoji');
+      reaction.src = emojiTag[2];
+      reaction.alt = event.content;
+      reaction.title = event.content;
+    } else {
+      reaction = createElement('span', 'reaction-symbol', event.content);
+    }
+  }
+  
+  container.appendChild(createField('Reaction', reaction));
+  renderTargetFields(event, container);
+  
+  const reactedKind = getTagValue(event, 'k');
+  if (reactedKind) {
+    container.appendChild(createField('Reacted kind', `${reactedKind} (${getKindName(parseInt(reactedKind, 10))})`));
+  }
+  
+  return container;
+}
+
+/**
+ * Render a kind 9734 zap request
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered zap request
+ */
+function renderZapRequest(event) {
+  const container = createElement('div', 'render-zap');
+  const amount = parseInt(getTagValue(event, 'amount'), 10);
+  
+  container.appendChild(createField('Amount', Number.isNaN(amount) ? 'not specified' : formatSats(amount)));
+  renderTargetFields(event, container, 'Recipient');
+  
+  const relaysTag = event.tags.find(tag => tag[0] === 'relays');
+  if (relaysTag) {
+    container.appendChild(createField('Receipt relays', relaysTag.slice(1).join(', ')));
+  }
+  
+  if (event.content) {
+    container.appendChild(createField('Comment', event.content));
+  }
+  
+  return container;
+}
+
+/**
+ * Render a kind 9735 zap receipt
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered zap receipt
+ */
+function renderZapReceipt(event) {
+  const container = createElement('div', 'render-zap');
+  const amount = decodeBolt11Amount(getTagValue(event, 'bolt11'));
+  
+  container.appendChild(createField('Amount', amount === null ? 'unknown (no bolt11 amount)' : formatSats(amount)));
+  
+  // The zap request is embedded in the description tag
+  const description = getTagValue(event, 'description');
+  if (description) {
+    try {
+      const zapRequest = JSON.parse(description);
+      container.appendChild(createField('Zapped by', createPubkeyLink(zapRequest.pubkey)));
+      
+      if (zapRequest.content) {
+        container.appendChild(createField('Comment', String(zapRequest.content)));
+      }
+    } catch (error) {
+      container.appendChild(createElement('p', 'render-warning', 'Zap request description is not valid JSON.'));
+    }
+  }
+  
+  renderTargetFields(event, container, 'Recipient');
+  
+  return container;
+}
+
+/**
+ * Render a kind 10002 relay list
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered relay list
+ */
+function renderRelayList(event) {
+  const container = createElement('div', 'render-relays');
+  const relays = getTags(event, 'r');
+  
+  container.appendChild(createField('Relays', String(relays.length)));
+  
+  const list = createElement('ul', 'render-list');
+  relays.forEach(tag => {
+    const item = createElement('li', null, tag[1]);
+    const marker = tag[2] === 'read' || tag[2] === 'write' ? tag[2] : 'read + write';
+    item.appendChild(createElement('span', `relay-marker relay-marker-${tag[2] || 'both'}`, marker));
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+  
+  return container;
+}
+
+/**
+ * Render kind 30023 long-form content as Markdown
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement} The rendered article
+ */
+function renderLongForm(event) {
+  const article = createElement('article', 'render-article');
+  
+  const title = getTagValue(event, 'title');
+  if (title) {
+    article.appendChild(createElement('h3', null, title));
+  }
+  
+  const summary = getTagValue(event, 'summary');
+  if (summary) {
+    article.appendChild(createElement('p', 'render-summary', summary));
+  }
+  
+  const image = getTagValue(event, 'image');
+  if (isSafeUrl(image)) {
+    const cover = createElement('img', 'article-image');
+    cover.src = image;
+    cover.loading = 'lazy';
+    cover.alt = '';
+    article.appendChild(cover);
+  }
+  
+  const publishedAt = parseInt(getTagValue(event, 'published_at'), 10);
+  if (!Number.isNaN(publishedAt)) {
+    article.appendChild(createField('Published', formatTimestamp(publishedAt)));
+  }
+  
+  const body = createElement('div', 'render-markdown');
+  body.innerHTML = renderMarkdown(event.content);
+  article.appendChild(body);
+  
+  return article;
+}
+
+/**
+ * Renderers keyed by kind
+ */
+const KIND_RENDERERS = {
+  0: renderProfile,
+  1: renderNote,
+  3: renderFollowList,
+  6: renderRepost,
+  7: renderReaction,
+  16: renderRepost,
+  9734: renderZapRequest,
+  9735: renderZapReceipt,
+  10002: renderRelayList,
+  30023: renderLongForm
+};
+
+/**
+ * Render an event with the renderer registered for its kind
+ * @param {Object} event - Nostr event object
+ * @returns {HTMLElement|null} The rendered event, or null if the kind has no renderer
+ */
+function renderEventBody(event) {
+  const renderer = KIND_RENDERERS[event.kind];
+  if (!renderer) return null;
+  
+  try {
+    return renderer(event);
+  } catch (error) {
+    console.error(`Error rendering kind ${event.kind} event ${event.id}:`, error);
+    return null;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Live Subscription Module
+ * Handles keeping subscriptions open after a fetch so new events stream in,
+ * reconnecting dropped relays with exponential backoff
+ */
+
+/**
+ * Delay before the first reconnection attempt; it doubles with every failed attempt
+ */
+const LIVE_RECONNECT_BASE_MS = 1000;
+
+/**
+ * Longest delay between reconnection attempts
+ */
+const LIVE_RECONNECT_MAX_MS = 60000;
+
+/**
+ * How often received events are handed to the UI
+ */
+const LIVE_FLUSH_INTERVAL_MS = 500;
+
+/**
+ * Window over which the rate per kind is counted
+ */
+const LIVE_RATE_WINDOW_MS = 60000;
+
+/**
+ * How far back a subscription asks for events, to cover clocks that run
+ * behind and the time a relay was disconnected
+ */
+const LIVE_SINCE_OVERLAP_SECONDS = 60;
+
+// The running live session, or null
+let liveSession = null;
+
+/**
+ * Open live subscriptions on every relay
+ * Events created from LIVE_SINCE_OVERLAP_SECONDS ago on are requested, so
+ * events from clients whose clock is a little behind still arrive; events
+ * already shown are skipped. Events are handed to `onEvents` in batches, at
+ * most every LIVE_FLUSH_INTERVAL_MS.
+ * @param {string[]} relays - Array of relay URLs
+ * @param {Object[]} filters - Filter objects without `since` or `until`
+ * @param {string[]} knownIds - IDs of events already shown, which are not reported again
+ * @param {Function} onEvents - Called with each batch of new events
+ */
+function startLiveSubscription(relays, filters, knownIds, onEvents) {
+  stopLiveSubscription();
+  
+  const since = Math.floor(Date.now() / 1000) - LIVE_SINCE_OVERLAP_SECONDS;
+  
+  liveSession = {
+    filters,
+    onEvents,
+    seenIds: new Set(knownIds),
+    relays: new Map(),
+    pending: [],
+    paused: false,
+    received: 0,
+    // Arrival times of recent events, keyed by kind
+    arrivals: {},
+    flushTimer: setInterval(flushLiveEvents, LIVE_FLUSH_INTERVAL_MS)
+  };
+  
+  relays.forEach(relay => {
+    liveSession.relays.set(relay, {
+      status: 'connecting',
+      relayInstance: null,
+      attempts: 0,
+      reconnectTimer: null,
+      since,
+      received: 0
+    });
+    connectLiveRelay(relay);
+  });
+  
+  displayLiveStatus(getLiveStatus());
+}
+
+/**
+ * Close every live subscription and stop reconnecting
+ */
+function stopLiveSubscription() {
+  if (!liveSession) return;
+  
+  const session = liveSession;
+  liveSession = null;
+  
+  clearInterval(session.flushTimer);
+  session.relays.forEach(state => {
+    clearTimeout(state.reconnectTimer);
+    if (state.relayInstance) {
+      state.relayInstance.close();
+    }
+  });
+  
+  displayLiveStatus(null);
+}
+
+/**
+ * Check whether the live session is paused
+ * @returns {boolean} True if a session is running and paused
+ */
+function isLivePaused() {
+  return liveSession !== null && liveSession.paused;
+}
+
+/**
+ * Pause or resume handing events to the UI
+ * Subscriptions stay open while paused; events received meanwhile are held
+ * and shown on resume.
+ * @param {boolean} paused - Whether to pause
+ */
+function setLivePaused(paused) {
+  if (!liveSession) return;
+  
+  liveSession.paused = paused;
+  flushLiveEvents();
+}
+
+/**
+ * Connect to a relay and open its live subscription
+ * @param {string} relay - The relay URL
+ * @returns {Promise} A promise that resolves once the relay is subscribed or a reconnection is scheduled
+ */
+async function connectLiveRelay(relay) {
+  const session = liveSession;
+  const state = session.relays.get(relay);
+  const relayInstance = window.NostrTools.relayInit(relay);
+  
+  state.status = 'connecting';
+  state.relayInstance = relayInstance;
+  displayLiveStatus(getLiveStatus());
+  
+  try {
+    await withTimeout(relayInstance.connect(), RELAY_TIMEOUT_MS, `Timeout connecting to ${relay}`);
+  } catch (error) {
+    console.error(`Error connecting to ${relay} for live events:`, error || 'Connection failed');
+    relayInstance.close();
+    
+    if (session === liveSession) {
+      scheduleLiveReconnect(relay);
+    }
+    return;
+  }
+  
+  // The session may have been stopped while connecting
+  if (session !== liveSession) {
+    relayInstance.close();
+    return;
+  }
+  
+  state.status = 'live';
+  state.attempts = 0;
+  
+  relayInstance.on('disconnect', () => {
+    if (session === liveSession && state.relayInstance === relayInstance) {
+      state.since = Math.floor(Date.now() / 1000) - LIVE_SINCE_OVERLAP_SECONDS;
+      scheduleLiveReconnect(relay);
+    }
+  });
+  
+  // Signatures are checked by the explorer itself so invalid events are reported rather than dropped
+  const sub = relayInstance.sub(
+    session.filters.map(filter => ({ ...filter, since: state.since })),
+    { skipVerification: true }
+  );
+  sub.on('event', event => receiveLiveEvent(event, relay));
+  
+  displayLiveStatus(getLiveStatus());
+}
+
+/**
+ * Schedule a reconnection to a dropped relay
+ * @param {string} relay - The relay URL
+ */
+function scheduleLiveReconnect(relay) {
+  const state = liveSession.relays.get(relay);
+  if (state.reconnectTimer) return;
+  
+  const delay = Math.min(LIVE_RECONNECT_BASE_MS * 2 ** state.attempts, LIVE_RECONNECT_MAX_MS);
+  
+  state.status = 'reconnecting';
+  state.attempts++;
+  state.retryAt = Date.now() + delay;
+  state.relayInstance = null;
+  state.reconnectTimer = setTimeout(() => {
+    state.reconnectTimer = null;
+    connectLiveRelay(relay);
+  }, delay);
+  
+  displayLiveStatus(getLiveStatus());
+}
+
+/**
+ * Record an event received on a live subscription
+ * @param {Object} event - Nostr event object
+ * @param {string} relay - The relay URL
+ */
+function receiveLiveEvent(event, relay) {
+  if (!liveSession) return;
+  
+  recordEventSource(event.id, relay);
+  
+  if (liveSession.seenIds.has(event.id)) return;
+  
+  liveSession.seenIds.add(event.id);
+  liveSession.relays.get(relay).received++;
+  liveSession.received++;
+  liveSession.pending.push(event);
+  
+  if (!liveSession.arrivals[event.kind]) {
+    liveSession.arrivals[event.kind] = [];
+  }
+  liveSession.arrivals[event.kind].push(Date.now());
+}
+
+/**
+ * Hand the events received since the last flush to the UI, unless paused
+ */
+function flushLiveEvents() {
+  if (!liveSession) return;
+  
+  if (!liveSession.paused && liveSession.pending.length > 0) {
+    const events = liveSession.pending;
+    liveSession.pending = [];
+    
+    try {
+      liveSession.onEvents(events);
+    } catch (error) {
+      console.error('Error showing live events:', error);
+    }
+  }
+  
+  // Refresh the rates even when nothing arrived, so they decay
+  displayLiveStatus(getLiveStatus());
+}
+
+/**
+ * Count the events received per kind over the last LIVE_RATE_WINDOW_MS
+ * @returns {Object} Event counts keyed by kind
+ */
+function getLiveRates() {
+  const windowStart = Date.now() - LIVE_RATE_WINDOW_MS;
+  const rates = {};
+  
+  Object.entries(liveSession.arrivals).forEach(([kind, arrivals]) => {
+    const recent = arrivals.filter(time => time >= windowStart);
+    
+    if (recent.length > 0) {
+      liveSession.arrivals[kind] = recent;
+      rates[kind] = recent.length;
+    } else {
+      delete liveSession.arrivals[kind];
+    }
+  });
+  
+  return rates;
+}
+
+/**
+ * Get the state of the live session for display
+ * @returns {Object|null} `relays` (with `relay`, `status`, `attempts`,
+ *   `retryAt`, `received`), `paused`, `pending`, `received` and `rates`, or
+ *   null if no session is running
+ */
+function getLiveStatus() {
+  if (!liveSession) return null;
+  
+  return {
+    relays: Array.from(liveSession.relays.entries()).map(([relay, state]) => ({
+      relay,
+      status: state.status,
+      attempts: state.attempts,
+      retryAt: state.retryAt,
+      received: state.received
+    })),
+    paused: liveSession.paused,
+    pending: liveSession.pending.length,
+    received: liveSession.received,
+    rates: getLiveRates()
+  };
+}
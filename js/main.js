@@ -4,7 +4,48 @@
  */
 
 // Global state
+// The analysis of the current events, which live events are added to
+let currentAnalysis = null;
 let currentKindGroups = {};
+let currentKindAuthorCounts = {};
+let currentKindClientCounts = {};
+let currentClients = {};
+let currentDateRange = {};
+let currentEvents = [];
+let currentRelays = [];
+let currentSearch = null;
+// Search match counts keyed by kind, or null without a search
+let currentSearchCounts = null;
+// The lint report and comparison of the current events
+let currentLintReport = null;
+let currentComparisonResult = null;
+// The authors and kind of the last relay fetch, followed by live mode
+let currentQuery = null;
+// Where each relay of the last relay fetch came from, keyed by relay URL
+let currentRelayOrigins = {};
+// The `sides` and `labels` of the comparison run with the last fetch, or null
+let currentComparison = null;
+// The form values of the last relay fetch, as recorded in the URL
+let currentFetchState = null;
+// The kind and client to select once a fetch started from a URL completes
+let pendingViewKind = null;
+let pendingClient = '';
+// Set while a fetch or a back/forward navigation is changing the view
+let urlStateLocked = false;
+
+/**
+ * Delay before a search runs while the user is typing
+ */
+const SEARCH_DEBOUNCE_MS = 300;
+let searchTimer = null;
+
+/**
+ * Least time between redraws of the relay coverage and charts in live mode
+ * Both are worked out from every event, unlike the panels updated with each batch.
+ */
+const LIVE_PANEL_REFRESH_MS = 10000;
+let lastLivePanelRefresh = 0;
+let livePanelTimer = null;
 
 /**
  * Initialize the application
@@ -22,20 +63,19 @@ function initApp() {
     relaysTextarea.value = DEFAULT_RELAYS.join(', ');
   }
   
-  // Set default dates (last 30 days)
-  const today = new Date();
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(today.getDate() - 30);
+  // Show what the local cache holds
+  refreshCacheStatus();
   
-  const startDateInput = document.getElementById('start-date');
-  const endDateInput = document.getElementById('end-date');
+  // Set default dates (last 30 days)
+  applyDatePreset('30d');
   
-  if (startDateInput) {
-    startDateInput.valueAsDate = thirtyDaysAgo;
-  }
+  // List the saved queries and relay sets
+  refreshSavedQueries('', '');
   
-  if (endDateInput) {
-    endDateInput.valueAsDate = today;
+  // Run the fetch described by a shared link
+  const urlState = readUrlState();
+  if (urlState) {
+    restoreUrlState(urlState);
   }
 }
 
@@ -49,11 +89,163 @@ function setupEventListeners() {
     form.addEventListener('submit', handleFormSubmit);
   }
   
+  // Browser back/forward
+  window.addEventListener('popstate', handlePopState);
+  
   // Kind dropdown change
   const kindDropdown = document.getElementById('kind-dropdown');
   if (kindDropdown) {
     kindDropdown.addEventListener('change', handleKindChange);
   }
+  
+  // Import button
+  const importButton = document.getElementById('import-button');
+  if (importButton) {
+    importButton.addEventListener('click', handleImport);
+  }
+  
+  // Clear cache button
+  const clearCacheButton = document.getElementById('clear-cache-button');
+  if (clearCacheButton) {
+    clearCacheButton.addEventListener('click', handleClearCache);
+  }
+  
+  // Export button
+  const exportButton = document.getElementById('export-button');
+  if (exportButton) {
+    exportButton.addEventListener('click', handleExport);
+  }
+  
+  // Thread view close button
+  const closeThreadButton = document.getElementById('close-thread-button');
+  if (closeThreadButton) {
+    closeThreadButton.addEventListener('click', hideThread);
+  }
+  
+  // Search bar
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) {
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(handleSearch, SEARCH_DEBOUNCE_MS);
+    });
+    searchInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        clearTimeout(searchTimer);
+        handleSearch();
+      }
+    });
+  }
+  
+  // Sort order and jump-to-date
+  const sortOrderSelect = document.getElementById('sort-order');
+  if (sortOrderSelect) {
+    sortOrderSelect.addEventListener('change', refreshEventList);
+  }
+  
+  const jumpButton = document.getElementById('jump-button');
+  if (jumpButton) {
+    jumpButton.addEventListener('click', handleJumpToDate);
+  }
+  
+  // Live mode toggle and pause button
+  const liveToggle = document.getElementById('live-toggle');
+  if (liveToggle) {
+    liveToggle.addEventListener('change', handleLiveToggle);
+  }
+  
+  const livePauseButton = document.getElementById('live-pause-button');
+  if (livePauseButton) {
+    livePauseButton.addEventListener('click', () => setLivePaused(!isLivePaused()));
+  }
+  
+  // Client filter
+  const clientFilter = document.getElementById('client-filter');
+  if (clientFilter) {
+    clientFilter.addEventListener('change', handleClientChange);
+  }
+  
+  // Hide invalid events toggle
+  const hideInvalidCheckbox = document.getElementById('hide-invalid');
+  if (hideInvalidCheckbox) {
+    hideInvalidCheckbox.addEventListener('change', refreshEventList);
+  }
+  
+  // Comparison mode
+  const compareModeSelect = document.getElementById('compare-mode');
+  if (compareModeSelect) {
+    compareModeSelect.addEventListener('change', updateCompareOptions);
+  }
+  
+  // Saved queries
+  const savedQuerySelect = document.getElementById('saved-query-select');
+  if (savedQuerySelect) {
+    savedQuerySelect.addEventListener('change', handleSavedQueryChange);
+  }
+  
+  const saveQueryButton = document.getElementById('save-query-button');
+  if (saveQueryButton) {
+    saveQueryButton.addEventListener('click', handleSaveQuery);
+  }
+  
+  const deleteQueryButton = document.getElementById('delete-query-button');
+  if (deleteQueryButton) {
+    deleteQueryButton.addEventListener('click', handleDeleteQuery);
+  }
+  
+  const exportQueriesButton = document.getElementById('export-queries-button');
+  if (exportQueriesButton) {
+    exportQueriesButton.addEventListener('click', handleExportQueries);
+  }
+  
+  const importQueriesFile = document.getElementById('import-queries-file');
+  if (importQueriesFile) {
+    importQueriesFile.addEventListener('change', handleImportQueries);
+  }
+  
+  // Relay sets; editing the relay list by hand leaves the selected set
+  const relaySetSelect = document.getElementById('relay-set-select');
+  if (relaySetSelect) {
+    relaySetSelect.addEventListener('change', handleRelaySetChange);
+  }
+  
+  const saveRelaySetButton = document.getElementById('save-relay-set-button');
+  if (saveRelaySetButton) {
+    saveRelaySetButton.addEventListener('click', handleSaveRelaySet);
+  }
+  
+  const deleteRelaySetButton = document.getElementById('delete-relay-set-button');
+  if (deleteRelaySetButton) {
+    deleteRelaySetButton.addEventListener('click', handleDeleteRelaySet);
+  }
+  
+  const relaysTextarea = document.getElementById('relays');
+  if (relaysTextarea && relaySetSelect) {
+    relaysTextarea.addEventListener('input', () => {
+      if (relaySetSelect.value) {
+        refreshSavedQueries(savedQuerySelect.value, '');
+      }
+    });
+  }
+  
+  // Date presets; picking a date by hand switches to custom dates
+  const datePresetSelect = document.getElementById('date-preset');
+  if (datePresetSelect) {
+    datePresetSelect.addEventListener('change', () => {
+      if (datePresetSelect.value) {
+        applyDatePreset(datePresetSelect.value);
+      }
+    });
+    
+    ['start-date', 'end-date'].forEach(id => {
+      const dateInput = document.getElementById(id);
+      if (dateInput) {
+        dateInput.addEventListener('input', () => {
+          datePresetSelect.value = '';
+        });
+      }
+    });
+  }
 }
 
 /**
@@ -63,72 +255,819 @@ function setupEventListeners() {
 async function handleFormSubmit(event) {
   event.preventDefault();
   
+  // The URL is updated once the fetch is done; a fetch started from the URL
+  // only corrects it, without adding a history entry
+  urlStateLocked = true;
+  const fetchState = getFormState();
+  const restoringUrl = pendingViewKind !== null;
+  
   try {
     // Reset the UI
+    stopLiveMode();
     resetUI();
     
     // Show loading status
     showLoadingStatus();
     
     // Get form values
-    const pubkey = document.getElementById('pubkey').value.trim();
+    const identifiersStr = document.getElementById('pubkey').value.trim();
     const startDateStr = document.getElementById('start-date').value;
     const endDateStr = document.getElementById('end-date').value;
     const relaysStr = document.getElementById('relays').value;
     const specificKind = document.getElementById('specific-kind').value;
+    const includeFollows = document.getElementById('include-follows').checked;
+    const useCache = document.getElementById('use-cache').checked;
+    const useOutbox = document.getElementById('use-outbox').checked;
+    const compareMode = document.getElementById('compare-mode').value;
+    const compareStartStr = document.getElementById('compare-start-date').value;
+    const compareEndStr = document.getElementById('compare-end-date').value;
     
-    // Validate pubkey
-    if (!pubkey) {
+    // Validate identifiers
+    const identifiers = parseIdentifierList(identifiersStr);
+    if (identifiers.length === 0) {
       throw new Error('Public key is required');
     }
     
-    // Parse dates
-    let startDate = null;
-    let endDate = null;
-    
-    if (startDateStr) {
-      startDate = new Date(startDateStr);
+    const compareIdentifiers = compareMode === 'authors'
+      ? parseIdentifierList(document.getElementById('compare-ids').value)
+      : [];
+    if (compareMode === 'authors' && compareIdentifiers.length === 0) {
+      throw new Error('Enter the identifiers to compare with');
     }
     
-    if (endDateStr) {
-      // Set the time to the end of the day
-      endDate = new Date(endDateStr);
-      endDate.setHours(23, 59, 59, 999);
+    if (compareMode === 'dates' && !compareStartStr && !compareEndStr) {
+      throw new Error('Choose the date range to compare with');
     }
     
+    // Parse dates
+    const { startDate, endDate } = parseDateInputs(startDateStr, endDateStr);
+    
     // Parse relays
-    const relays = parseRelayList(relaysStr);
+    const userRelays = parseRelayList(relaysStr);
     
-    if (relays.length === 0) {
+    if (userRelays.length === 0) {
       throw new Error('At least one valid relay is required');
     }
     
+    // Resolve the identifiers into authors, relay hints and optional target events
+    updateStatusMessage('Resolving identifiers...');
+    const targets = await Promise.all(
+      identifiers.map(identifier => resolveIdentifier(identifier, userRelays))
+    );
+    const compareTargets = await Promise.all(
+      compareIdentifiers.map(identifier => resolveIdentifier(identifier, userRelays))
+    );
+    let relays = mergeRelayLists(userRelays, ...[...targets, ...compareTargets].map(target => target.relays));
+    let pubkeys = targets.map(target => target.pubkey);
+    let comparePubkeys = compareTargets.map(target => target.pubkey);
+    
+    // Record where each relay came from, for the relay health panel
+    const relayOrigins = {};
+    const addRelayOrigin = (relay, origin) => {
+      const normalized = normalizeRelayUrl(relay);
+      relayOrigins[normalized] = relayOrigins[normalized] || [];
+      if (!relayOrigins[normalized].includes(origin)) {
+        relayOrigins[normalized].push(origin);
+      }
+    };
+    
+    userRelays.forEach(relay => addRelayOrigin(relay, 'your relay list'));
+    [...targets, ...compareTargets].forEach(target => {
+      target.relays.forEach(relay => addRelayOrigin(relay, 'identifier relay hint'));
+    });
+    
+    // Add everyone the authors follow, on each side of a comparison
+    if (includeFollows) {
+      updateStatusMessage('Fetching follow lists...');
+      const follows = await fetchFollows(pubkeys, relays);
+      pubkeys = Array.from(new Set([...pubkeys, ...follows]));
+      
+      if (comparePubkeys.length > 0) {
+        const compareFollows = await fetchFollows(comparePubkeys, relays);
+        comparePubkeys = Array.from(new Set([...comparePubkeys, ...compareFollows]));
+      }
+    }
+    
+    // Both sides of a comparison are fetched together and told apart afterwards;
+    // two date ranges get their own filters, so the time between them is not fetched
+    let comparison = null;
+    let dateRanges = [{ startDate, endDate }];
+    let chartRange = { startDate, endDate };
+    
+    if (compareMode === 'dates') {
+      const compareRange = parseDateInputs(compareStartStr, compareEndStr);
+      
+      comparison = {
+        sides: [{ startDate, endDate }, compareRange],
+        labels: [describeDateRange(startDateStr, endDateStr), describeDateRange(compareStartStr, compareEndStr)]
+      };
+      dateRanges = comparison.sides;
+      chartRange = getSpanningDateRange(chartRange, compareRange);
+    } else if (compareMode === 'authors') {
+      comparison = {
+        sides: [{ startDate, endDate, pubkeys }, { startDate, endDate, pubkeys: comparePubkeys }],
+        labels: [describeAuthors(pubkeys), describeAuthors(comparePubkeys)]
+      };
+      pubkeys = Array.from(new Set([...pubkeys, ...comparePubkeys]));
+    }
+    
+    // Add the relays the authors publish to (NIP-65 outbox model)
+    if (useOutbox) {
+      updateStatusMessage(`Looking up the relays of ${pubkeys.length} author${pubkeys.length === 1 ? '' : 's'}...`);
+      const outboxRelays = selectOutboxRelays(await fetchAuthorRelays(pubkeys, relays));
+      
+      outboxRelays.forEach(({ relay, authors, sources }) => {
+        const writers = authors.length === 1 ? formatPubkey(authors[0]) : `${authors.length} authors`;
+        addRelayOrigin(relay, `${sources.join(' / ')} of ${writers}`);
+      });
+      
+      relays = mergeRelayLists(relays, outboxRelays.map(entry => entry.relay));
+    }
+    
+    updateStatusMessage(`Fetching events from ${pubkeys.length} author${pubkeys.length === 1 ? '' : 's'}...`);
+    
     // Fetch events
     const events = await fetchEvents({
-      pubkey,
-      startDate,
-      endDate,
+      pubkeys,
+      dateRanges,
       kind: specificKind,
-      relays
+      relays,
+      useCache
+    });
+    
+    // Make sure the events the identifiers point to are part of the results
+    const targetEvents = targets.map(target => target.event).filter(Boolean);
+    targetEvents.forEach(targetEvent => {
+      if (!events.some(event => event.id === targetEvent.id)) {
+        events.push(targetEvent);
+      }
     });
     
-    // Analyze events
-    const { kindGroups, stats } = analyzeEvents(events);
+    currentQuery = { pubkeys, kind: specificKind };
+    currentRelayOrigins = relayOrigins;
+    currentComparison = comparison;
+    showAnalysis(events, relays, chartRange);
+    
+    // Select the client and kind a shared link points to, if they were found
+    const clientFilter = document.getElementById('client-filter');
+    if (pendingClient && clientFilter && currentClients[pendingClient]) {
+      clientFilter.value = pendingClient;
+    }
+    
+    if (pendingViewKind) {
+      const kindDropdown = document.getElementById('kind-dropdown');
+      if (kindDropdown && Array.from(kindDropdown.options).some(option => option.value === pendingViewKind)) {
+        selectKind(pendingViewKind);
+      }
+    }
+    
+    if (targetEvents.length > 0) {
+      focusEvent(targetEvents[0]);
+    }
     
-    // Store the kind groups in the global state
-    currentKindGroups = kindGroups;
+    refreshRelayHealth();
     
-    // Update the UI
-    updateStatsDisplay(stats);
-    populateKindDropdown(kindGroups);
-    displayEvents(kindGroups, 'all');
+    if (useCache) {
+      refreshCacheStatus();
+    }
     
-    // Show results
-    showResults();
+    currentFetchState = fetchState;
+    urlStateLocked = false;
+    updateUrlState(restoringUrl);
   } catch (error) {
     console.error('Error:', error);
     showError(error.message || 'An error occurred');
+  } finally {
+    urlStateLocked = false;
+    pendingViewKind = null;
+    pendingClient = '';
+  }
+}
+
+/**
+ * Parse the values of a pair of date inputs
+ * @param {string} startStr - Start date (YYYY-MM-DD), or empty
+ * @param {string} endStr - End date (YYYY-MM-DD), or empty
+ * @returns {Object} `startDate` and `endDate`, null where the input is empty;
+ *   the end date is set to the end of its day
+ */
+function parseDateInputs(startStr, endStr) {
+  let startDate = null;
+  let endDate = null;
+  
+  if (startStr) {
+    startDate = new Date(startStr);
+  }
+  
+  if (endStr) {
+    // Set the time to the end of the day
+    endDate = new Date(endStr);
+    endDate.setHours(23, 59, 59, 999);
+  }
+  
+  return { startDate, endDate };
+}
+
+/**
+ * Show the inputs of the selected comparison mode
+ */
+function updateCompareOptions() {
+  const compareMode = document.getElementById('compare-mode').value;
+  
+  document.getElementById('compare-dates').style.display = compareMode === 'dates' ? '' : 'none';
+  document.getElementById('compare-authors').style.display = compareMode === 'authors' ? '' : 'none';
+}
+
+/**
+ * Read the fetch settings from the form, in the form recorded in the URL
+ * @returns {Object} The fetch fields of a URL state (see readUrlState)
+ */
+function getFormState() {
+  const compareMode = document.getElementById('compare-mode').value;
+  
+  return {
+    ids: document.getElementById('pubkey').value.trim(),
+    start: document.getElementById('start-date').value,
+    end: document.getElementById('end-date').value,
+    relays: document.getElementById('relays').value.trim(),
+    kind: document.getElementById('specific-kind').value,
+    follows: document.getElementById('include-follows').checked ? '1' : '',
+    // Both options are on by default, so only turning them off is recorded
+    outbox: document.getElementById('use-outbox').checked ? '' : '0',
+    cache: document.getElementById('use-cache').checked ? '' : '0',
+    compare: compareMode,
+    cids: compareMode === 'authors' ? document.getElementById('compare-ids').value.trim() : '',
+    cstart: compareMode === 'dates' ? document.getElementById('compare-start-date').value : '',
+    cend: compareMode === 'dates' ? document.getElementById('compare-end-date').value : ''
+  };
+}
+
+/**
+ * Record the current fetch, selected kind, client filter and search in the URL
+ * Results that did not come from a relay fetch (imports) are not recorded.
+ * @param {boolean} [replace] - Replace the current history entry instead of adding one
+ */
+function updateUrlState(replace = false) {
+  if (urlStateLocked || !currentFetchState) return;
+  
+  const kindDropdown = document.getElementById('kind-dropdown');
+  const searchInput = document.getElementById('search-input');
+  
+  writeUrlState({
+    ...currentFetchState,
+    view: kindDropdown ? kindDropdown.value : 'all',
+    client: getDisplayOptions().client,
+    q: searchInput ? searchInput.value.trim() : ''
+  }, replace);
+}
+
+/**
+ * Fill in the form and search from a URL state and run the fetch
+ * @param {Object} state - The state from readUrlState
+ */
+function restoreUrlState(state) {
+  document.getElementById('pubkey').value = state.ids;
+  document.getElementById('date-preset').value = '';
+  document.getElementById('start-date').value = state.start;
+  document.getElementById('end-date').value = state.end;
+  document.getElementById('relay-set-select').value = '';
+  document.getElementById('relays').value = state.relays;
+  document.getElementById('specific-kind').value = state.kind;
+  document.getElementById('include-follows').checked = state.follows === '1';
+  document.getElementById('use-outbox').checked = state.outbox !== '0';
+  document.getElementById('use-cache').checked = state.cache !== '0';
+  document.getElementById('compare-mode').value = state.compare;
+  document.getElementById('compare-ids').value = state.cids;
+  document.getElementById('compare-start-date').value = state.cstart;
+  document.getElementById('compare-end-date').value = state.cend;
+  updateCompareOptions();
+  
+  // The search applies to the new results; the URL is updated once they are in
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) {
+    urlStateLocked = true;
+    try {
+      searchInput.value = state.q;
+      handleSearch();
+    } finally {
+      urlStateLocked = false;
+    }
+  }
+  
+  pendingViewKind = state.view || 'all';
+  pendingClient = state.client;
+  document.getElementById('explorer-form').requestSubmit();
+}
+
+/**
+ * Handle browser back/forward
+ * Views of the current fetch are switched in place; other fetches are run again.
+ */
+function handlePopState() {
+  const state = readUrlState();
+  if (!state) return;
+  
+  if (!currentFetchState || !isSameFetch(state, currentFetchState)) {
+    restoreUrlState(state);
+    return;
+  }
+  
+  urlStateLocked = true;
+  
+  try {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+      searchInput.value = state.q;
+      handleSearch();
+    }
+    
+    const clientFilter = document.getElementById('client-filter');
+    if (clientFilter) {
+      clientFilter.value = currentClients[state.client] ? state.client : '';
+    }
+    
+    selectKind(state.view || 'all');
+  } finally {
+    urlStateLocked = false;
+  }
+}
+
+/**
+ * Analyze events and show the results
+ * This is shared by live fetches and file imports.
+ * @param {Object[]} events - Array of Nostr events
+ * @param {string[]} relays - The relays the events were fetched from
+ * @param {Object} dateRange - The queried date range (`startDate`, `endDate`)
+ */
+function showAnalysis(events, relays, dateRange) {
+  // Store the events in the global state
+  currentEvents = events;
+  currentRelays = relays;
+  currentDateRange = dateRange;
+  
+  // Profile names in references and threads come from the fetched profiles first
+  rememberProfileNames(events);
+  
+  analyzeCurrentEvents();
+  selectKind('all');
+  
+  // Show results
+  showResults();
+}
+
+/**
+ * Analyze the current events and update the statistics, kind dropdown and
+ * report panels
+ */
+function analyzeCurrentEvents() {
+  currentAnalysis = analyzeEvents(currentEvents);
+  
+  currentKindGroups = currentAnalysis.kindGroups;
+  currentKindAuthorCounts = currentAnalysis.kindAuthorCounts;
+  currentKindClientCounts = currentAnalysis.kindClientCounts;
+  currentClients = currentAnalysis.clients;
+  currentLintReport = lintKindGroups(currentKindGroups);
+  currentComparisonResult = currentComparison ? compareKinds(currentEvents, currentComparison.sides) : null;
+  
+  updateStatsDisplay(currentAnalysis.stats);
+  populateClientFilter(currentClients);
+  // Populates the kind dropdown, with match counts if a search is active
+  applySearch();
+  displayRelayCoverage(analyzeRelayCoverage(currentEvents, currentRelays), currentAnalysis.stats.totalEvents);
+  displayLintReport(currentLintReport, selectKind);
+  
+  if (currentComparison) {
+    displayComparison(currentComparisonResult, currentComparison.labels, selectKind);
+  }
+}
+
+/**
+ * Add events received in live mode to the results
+ * Only the new events are analyzed and added to the counts, lint report,
+ * search matches and comparison. The selected kind, scroll position and
+ * expanded events are kept.
+ * @param {Object[]} events - The new events
+ */
+function handleLiveEvents(events) {
+  currentEvents = currentEvents.concat(events);
+  rememberProfileNames(events);
+  
+  const addedGroups = addEventsToAnalysis(currentAnalysis, events);
+  currentLintReport = lintKindGroups(addedGroups, currentLintReport);
+  
+  if (currentSearchCounts) {
+    Object.entries(countSearchMatches(addedGroups, currentSearch)).forEach(([kind, count]) => {
+      currentSearchCounts[kind] = (currentSearchCounts[kind] || 0) + count;
+    });
+  }
+  
+  updateStatsDisplay(currentAnalysis.stats);
+  populateClientFilter(currentClients);
+  displaySearchCounts();
+  displayLintReport(currentLintReport, selectKind);
+  
+  if (currentComparison) {
+    currentComparisonResult = compareKinds(events, currentComparison.sides, currentComparisonResult);
+    displayComparison(currentComparisonResult, currentComparison.labels, selectKind);
+  }
+  
+  const kindDropdown = document.getElementById('kind-dropdown');
+  const selectedKind = kindDropdown ? kindDropdown.value : 'all';
+  
+  updateDisplayedEvents(currentKindGroups, selectedKind, getDisplayOptions());
+  displayAuthorBreakdown(currentKindAuthorCounts, selectedKind);
+  displayClientBreakdown(currentKindClientCounts, currentClients, selectedKind, getDisplayOptions().client, selectClient);
+  
+  // The relay coverage and charts go over every event, so they are redrawn less often
+  if (!livePanelTimer) {
+    const wait = Math.max(0, LIVE_PANEL_REFRESH_MS - (Date.now() - lastLivePanelRefresh));
+    livePanelTimer = setTimeout(refreshLivePanels, wait);
+  }
+}
+
+/**
+ * Redraw the relay coverage and charts after live events were added
+ */
+function refreshLivePanels() {
+  livePanelTimer = null;
+  lastLivePanelRefresh = Date.now();
+  
+  const kindDropdown = document.getElementById('kind-dropdown');
+  const selectedKind = kindDropdown ? kindDropdown.value : 'all';
+  
+  displayRelayCoverage(analyzeRelayCoverage(currentEvents, currentRelays), currentAnalysis.stats.totalEvents);
+  displayKindCharts(currentKindGroups, currentDateRange, selectedKind, selectKind);
+}
+
+/**
+ * Handle the live mode toggle
+ * Live mode follows the authors and kind of the last relay fetch.
+ * @param {Event} event - The change event
+ */
+function handleLiveToggle(event) {
+  if (!event.target.checked) {
+    stopLiveSubscription();
+    return;
+  }
+  
+  if (!currentQuery) {
+    event.target.checked = false;
+    displayLiveError('Live mode needs a fetch from relays first');
+    return;
+  }
+  
+  const filters = batchAuthors(currentQuery.pubkeys).map(authors => createFilter({
+    authors,
+    kind: currentQuery.kind
+  }));
+  
+  startLiveSubscription(currentRelays, filters, currentEvents.map(liveEvent => liveEvent.id), handleLiveEvents);
+}
+
+/**
+ * Turn live mode off, e.g. before new results replace the current ones
+ */
+function stopLiveMode() {
+  stopLiveSubscription();
+  
+  const liveToggle = document.getElementById('live-toggle');
+  if (liveToggle) {
+    liveToggle.checked = false;
+  }
+}
+
+/**
+ * Handle the import button
+ * Imported events go through the same analysis as fetched events, without
+ * connecting to any relay. The files are read and checked first, so a file
+ * without valid events leaves the current results and live session alone.
+ */
+async function handleImport() {
+  const fileInput = document.getElementById('import-file');
+  const merge = document.getElementById('import-merge').checked;
+  
+  displayImportStatus('');
+  
+  let importedEvents;
+  let errors;
+  
+  try {
+    if (!fileInput.files || fileInput.files.length === 0) {
+      throw new Error('Choose a file to import');
+    }
+    
+    ({ events: importedEvents, errors } = await importEventFiles(fileInput.files));
+    
+    if (importedEvents.length === 0) {
+      const firstError = errors[0];
+      throw new Error(firstError
+        ? `No valid events found (${formatImportError(firstError)})`
+        : 'No events found in the file');
+    }
+  } catch (error) {
+    console.error('Error importing events:', error);
+    displayImportStatus(error.message || 'Could not import events');
+    return;
+  }
+  
+  try {
+    const previousEvents = merge ? currentEvents : [];
+    const previousRelays = merge ? currentRelays : [];
+    
+    stopLiveMode();
+    resetUI();
+    
+    if (!merge) {
+      clearEventSources();
+    }
+    
+    const events = mergeEvents(previousEvents, importedEvents);
+    
+    // Merged imports keep following the authors of the fetch they were merged into
+    if (!merge) {
+      currentQuery = null;
+      currentFetchState = null;
+      currentComparison = null;
+    }
+    
+    showAnalysis(events, previousRelays, {});
+    displayImportReport(importedEvents.length, errors);
+  } catch (error) {
+    console.error('Error importing events:', error);
+    showError(error.message || 'Could not import events');
+  }
+}
+
+/**
+ * Fill in the date inputs from a date preset
+ * @param {string} preset - One of the DATE_PRESETS keys
+ */
+function applyDatePreset(preset) {
+  const range = getDatePresetRange(preset);
+  
+  document.getElementById('date-preset').value = preset;
+  document.getElementById('start-date').value = range.start;
+  document.getElementById('end-date').value = range.end;
+}
+
+/**
+ * Show the stored saved queries and relay sets
+ * @param {string} selectedQuery - Name of the query to select, or ''
+ * @param {string} selectedRelaySet - Name of the relay set to select, or ''
+ */
+function refreshSavedQueries(selectedQuery, selectedRelaySet) {
+  displaySavedQueries(loadSavedQueries(), selectedQuery, selectedRelaySet);
+}
+
+/**
+ * Handle the saved query select: fill in the form from the chosen query
+ * The query is not run until the form is submitted.
+ */
+function handleSavedQueryChange() {
+  const name = document.getElementById('saved-query-select').value;
+  const relaySetSelect = document.getElementById('relay-set-select');
+  
+  displayWorkspaceStatus('');
+  
+  const saved = loadSavedQueries();
+  const query = saved.queries.find(entry => entry.name === name);
+  if (!query) {
+    refreshSavedQueries('', relaySetSelect.value);
+    return;
+  }
+  
+  document.getElementById('pubkey').value = query.ids;
+  document.getElementById('specific-kind').value = query.kind;
+  document.getElementById('include-follows').checked = query.follows;
+  
+  if (query.datePreset) {
+    applyDatePreset(query.datePreset);
+  } else {
+    document.getElementById('date-preset').value = '';
+    document.getElementById('start-date').value = query.start;
+    document.getElementById('end-date').value = query.end;
+  }
+  
+  // A relay set is used as it is now; the query's own copy is the fallback
+  const relaySet = saved.relaySets.find(entry => entry.name === query.relaySet);
+  const relays = relaySet ? relaySet.relays.join(', ') : query.relays;
+  document.getElementById('relays').value = relays || DEFAULT_RELAYS.join(', ');
+  refreshSavedQueries(name, relaySet ? relaySet.name : '');
+  
+  if (query.relaySet && !relaySet) {
+    displayWorkspaceStatus(`Relay set "${query.relaySet}" no longer exists; using the relays saved with the query`);
+  }
+}
+
+/**
+ * Handle the save query button: save the form under a name
+ */
+function handleSaveQuery() {
+  const querySelect = document.getElementById('saved-query-select');
+  const relaySetSelect = document.getElementById('relay-set-select');
+  
+  const name = (prompt('Name of the saved query:', querySelect.value) || '').trim();
+  if (!name) return;
+  
+  const exists = loadSavedQueries().queries.some(query => query.name === name);
+  if (exists && name !== querySelect.value && !confirm(`Replace the saved query "${name}"?`)) return;
+  
+  try {
+    saveQuery({
+      name,
+      ids: document.getElementById('pubkey').value,
+      relays: document.getElementById('relays').value,
+      relaySet: relaySetSelect.value,
+      datePreset: document.getElementById('date-preset').value,
+      start: document.getElementById('start-date').value,
+      end: document.getElementById('end-date').value,
+      kind: document.getElementById('specific-kind').value,
+      follows: document.getElementById('include-follows').checked
+    });
+    
+    refreshSavedQueries(name, relaySetSelect.value);
+    displayWorkspaceStatus(`Saved "${name}"`);
+  } catch (error) {
+    console.error('Error saving query:', error);
+    displayWorkspaceStatus(error.message || 'Could not save the query', true);
+  }
+}
+
+/**
+ * Handle the delete query button
+ */
+function handleDeleteQuery() {
+  const name = document.getElementById('saved-query-select').value;
+  if (!name || !confirm(`Delete the saved query "${name}"?`)) return;
+  
+  try {
+    deleteSavedQuery(name);
+    refreshSavedQueries('', document.getElementById('relay-set-select').value);
+    displayWorkspaceStatus(`Deleted "${name}"`);
+  } catch (error) {
+    console.error('Error deleting query:', error);
+    displayWorkspaceStatus(error.message || 'Could not delete the query', true);
+  }
+}
+
+/**
+ * Handle the export queries button
+ */
+function handleExportQueries() {
+  try {
+    exportSavedQueries();
+  } catch (error) {
+    console.error('Error exporting saved queries:', error);
+    displayWorkspaceStatus(error.message || 'Could not export the saved queries', true);
+  }
+}
+
+/**
+ * Handle a file chosen for importing saved queries and relay sets
+ * @param {Event} event - The change event of the file input
+ */
+async function handleImportQueries(event) {
+  const fileInput = event.target;
+  const file = fileInput.files[0];
+  if (!file) return;
+  
+  try {
+    const counts = importSavedQueries(await file.text());
+    
+    refreshSavedQueries(
+      document.getElementById('saved-query-select').value,
+      document.getElementById('relay-set-select').value
+    );
+    displayWorkspaceStatus(
+      `Imported ${counts.queries} quer${counts.queries === 1 ? 'y' : 'ies'} and ` +
+      `${counts.relaySets} relay set${counts.relaySets === 1 ? '' : 's'} from ${file.name}`
+    );
+  } catch (error) {
+    console.error('Error importing saved queries:', error);
+    displayWorkspaceStatus(`${file.name}: ${error.message || 'Could not import the saved queries'}`, true);
+  } finally {
+    // Allow the same file to be chosen again
+    fileInput.value = '';
+  }
+}
+
+/**
+ * Handle the relay set select: put the chosen set in the relay list
+ */
+function handleRelaySetChange() {
+  const name = document.getElementById('relay-set-select').value;
+  const relaySet = loadSavedQueries().relaySets.find(entry => entry.name === name);
+  
+  if (relaySet) {
+    document.getElementById('relays').value = relaySet.relays.join(', ');
+  }
+  
+  refreshSavedQueries(document.getElementById('saved-query-select').value, relaySet ? name : '');
+}
+
+/**
+ * Handle the save relay set button: save the relay list under a name
+ */
+function handleSaveRelaySet() {
+  const relaySetSelect = document.getElementById('relay-set-select');
+  const relays = parseRelayList(document.getElementById('relays').value);
+  
+  if (relays.length === 0) {
+    displayWorkspaceStatus('Enter at least one valid relay to save a relay set', true);
+    return;
+  }
+  
+  const name = (prompt('Name of the relay set:', relaySetSelect.value) || '').trim();
+  if (!name) return;
+  
+  const exists = loadSavedQueries().relaySets.some(relaySet => relaySet.name === name);
+  if (exists && name !== relaySetSelect.value && !confirm(`Replace the relay set "${name}"?`)) return;
+  
+  try {
+    const relaySet = saveRelaySet(name, relays);
+    
+    document.getElementById('relays').value = relaySet.relays.join(', ');
+    refreshSavedQueries(document.getElementById('saved-query-select').value, name);
+    displayWorkspaceStatus(`Saved relay set "${name}" (${relaySet.relays.length} relay${relaySet.relays.length === 1 ? '' : 's'})`);
+  } catch (error) {
+    console.error('Error saving relay set:', error);
+    displayWorkspaceStatus(error.message || 'Could not save the relay set', true);
+  }
+}
+
+/**
+ * Handle the delete relay set button
+ * The relay list keeps the set's relays.
+ */
+function handleDeleteRelaySet() {
+  const name = document.getElementById('relay-set-select').value;
+  if (!name || !confirm(`Delete the relay set "${name}"?`)) return;
+  
+  try {
+    deleteRelaySet(name);
+    refreshSavedQueries(document.getElementById('saved-query-select').value, '');
+    displayWorkspaceStatus(`Deleted relay set "${name}"`);
+  } catch (error) {
+    console.error('Error deleting relay set:', error);
+    displayWorkspaceStatus(error.message || 'Could not delete the relay set', true);
+  }
+}
+
+/**
+ * Handle a change to the search query
+ * A malformed query is reported and the previous search stays in effect.
+ */
+function handleSearch() {
+  const searchInput = document.getElementById('search-input');
+  
+  try {
+    currentSearch = parseSearchQuery(searchInput ? searchInput.value : '');
+  } catch (error) {
+    displaySearchStatus(error.message, true);
+    return;
+  }
+  
+  applySearch();
+  refreshEventList();
+  
+  // Searches run as the user types, so they update the URL without adding history entries
+  updateUrlState(true);
+}
+
+/**
+ * Count the matches of the current search and show them
+ */
+function applySearch() {
+  currentSearchCounts = currentSearch ? countSearchMatches(currentKindGroups, currentSearch) : null;
+  displaySearchCounts();
+}
+
+/**
+ * Update the dropdown match counts and search status for the current search
+ */
+function displaySearchCounts() {
+  if (!currentSearchCounts) {
+    populateKindDropdown(currentKindGroups);
+    displaySearchStatus('');
+    return;
   }
+  
+  const totalMatches = Object.values(currentSearchCounts).reduce((sum, count) => sum + count, 0);
+  
+  populateKindDropdown(currentKindGroups, currentSearchCounts);
+  displaySearchStatus(`${totalMatches} matching event${totalMatches === 1 ? '' : 's'}`);
+}
+
+/**
+ * Handle the jump-to-date button
+ */
+function handleJumpToDate() {
+  const jumpDateInput = document.getElementById('jump-date');
+  if (!jumpDateInput || !jumpDateInput.value) return;
+  
+  // The date input gives YYYY-MM-DD; the jump is to the start of that day, local time
+  const dayStart = new Date(`${jumpDateInput.value}T00:00:00`);
+  jumpToDate(Math.floor(dayStart.getTime() / 1000));
 }
 
 /**
@@ -136,8 +1075,267 @@ async function handleFormSubmit(event) {
  * @param {Event} event - The change event
  */
 function handleKindChange(event) {
-  const selectedKind = event.target.value;
-  displayEvents(currentKindGroups, selectedKind);
+  showKind(event.target.value);
+}
+
+/**
+ * Select a kind in the dropdown and show it, as if the user had picked it
+ * @param {string|number} kind - The kind to select, or 'all'
+ */
+function selectKind(kind) {
+  const kindDropdown = document.getElementById('kind-dropdown');
+  if (kindDropdown) {
+    kindDropdown.value = kind;
+  }
+  
+  showKind(String(kind));
+}
+
+/**
+ * Update the event list, author breakdown and charts for a kind
+ * @param {string} selectedKind - The selected kind, or 'all'
+ */
+function showKind(selectedKind) {
+  displayEvents(currentKindGroups, selectedKind, getDisplayOptions());
+  displayKindInfo(selectedKind, getKindInvestigation(selectedKind), handleKindLabel);
+  displayAuthorBreakdown(currentKindAuthorCounts, selectedKind);
+  displayClientBreakdown(currentKindClientCounts, currentClients, selectedKind, getDisplayOptions().client, selectClient);
+  displayKindCharts(currentKindGroups, currentDateRange, selectedKind, selectKind);
+  updateUrlState();
+}
+
+/**
+ * Investigate a selected kind that is not in the registry
+ * @param {string} selectedKind - The selected kind, or 'all'
+ * @returns {Object|null} The result of investigateKind, or null for 'all' and registered kinds
+ */
+function getKindInvestigation(selectedKind) {
+  if (selectedKind === 'all' || getKindInfo(selectedKind).known) return null;
+  
+  const kind = parseInt(selectedKind, 10);
+  return investigateKind(kind, currentKindGroups[kind] || [], currentKindClientCounts[kind] || {}, currentClients);
+}
+
+/**
+ * Save the user's label for an unregistered kind and show it
+ * @param {number} kind - The kind number
+ * @param {string} label - The label (empty to remove it)
+ */
+function handleKindLabel(kind, label) {
+  try {
+    setKindLabel(kind, label);
+  } catch (error) {
+    console.error('Error saving kind label:', error);
+    displayKindLabelStatus(`Could not save the label: ${error.message}`);
+    return;
+  }
+  
+  // The kind dropdown and the charts show the label
+  applySearch();
+  showKind(String(kind));
+}
+
+/**
+ * Select a client in the client filter and show only its events
+ * @param {string} clientKey - The client key (see getEventClient), or '' for all clients
+ */
+function selectClient(clientKey) {
+  const clientFilter = document.getElementById('client-filter');
+  if (clientFilter) {
+    clientFilter.value = clientKey;
+  }
+  
+  handleClientChange();
+}
+
+/**
+ * Handle a change of the client filter
+ */
+function handleClientChange() {
+  const kindDropdown = document.getElementById('kind-dropdown');
+  const selectedKind = kindDropdown ? kindDropdown.value : 'all';
+  
+  refreshEventList();
+  displayClientBreakdown(currentKindClientCounts, currentClients, selectedKind, getDisplayOptions().client, selectClient);
+  updateUrlState();
+}
+
+/**
+ * Read the cache contents and show them in the cache panel
+ */
+async function refreshCacheStatus() {
+  try {
+    displayCacheStatus(await getCacheStatus());
+  } catch (error) {
+    console.error('Error reading the event cache:', error);
+    displayCacheStatus(null);
+  }
+}
+
+/**
+ * Handle the clear cache button
+ */
+async function handleClearCache() {
+  if (!confirm('Remove all cached events?')) return;
+  
+  try {
+    await clearEventCache();
+  } catch (error) {
+    console.error('Error clearing the event cache:', error);
+  }
+  
+  refreshCacheStatus();
+}
+
+/**
+ * Handle the export button
+ * Exports the selected kind (or all kinds) with the active display filters applied
+ */
+function handleExport() {
+  try {
+    const format = document.getElementById('export-format').value;
+    const scope = document.getElementById('export-scope').value;
+    const selectedKind = scope === 'all' ? 'all' : document.getElementById('kind-dropdown').value;
+    
+    const options = getDisplayOptions();
+    const events = getEventsToDisplay(currentKindGroups, selectedKind, options);
+    
+    if (events.length === 0) {
+      throw new Error('There are no events to export');
+    }
+    
+    // Export in the order the list shows
+    events.sort(getEventComparator(options.sort));
+    
+    exportEvents(events, format, selectedKind === 'all' ? 'all-kinds' : `kind-${selectedKind}`);
+    displayExportStatus(`Exported ${events.length} event${events.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    console.error('Error exporting events:', error);
+    displayExportStatus(error.message || 'Could not export events', true);
+  }
+}
+
+/**
+ * Select an event's kind, expand the event and scroll it into view
+ * @param {Object} event - Nostr event object
+ */
+function focusEvent(event) {
+  selectKind(event.kind);
+  
+  if (revealEvent(event.id)) {
+    const eventsContainer = document.getElementById('events-container');
+    if (eventsContainer) eventsContainer.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Explore a NIP-19 entity, e.g. a mention in an event, with the current form settings
+ * @param {string} identifier - The identifier to explore
+ */
+function exploreIdentifier(identifier) {
+  const pubkeyInput = document.getElementById('pubkey');
+  const form = document.getElementById('explorer-form');
+  
+  if (pubkeyInput && form) {
+    pubkeyInput.value = identifier;
+    form.requestSubmit();
+    window.scrollTo({ top: 0 });
+  }
+}
+
+/**
+ * Get the relays used to resolve references and threads
+ * @returns {string[]} The relays of the last fetch, or those entered in the form
+ */
+function getConfiguredRelays() {
+  if (currentRelays.length > 0) {
+    return currentRelays;
+  }
+  
+  const relaysTextarea = document.getElementById('relays');
+  return relaysTextarea ? parseRelayList(relaysTextarea.value) : [];
+}
+
+/**
+ * Show the health of the relays of the last fetch, then add what their
+ * NIP-11 information documents advertise once they arrive
+ */
+async function refreshRelayHealth() {
+  const relays = currentRelays;
+  displayRelayHealth(summarizeRelayHealth(relays, getLastRelayProgress(), currentRelayOrigins), removeRelays);
+  
+  const infos = await fetchRelayInfos(relays);
+  
+  // Skip the update if another fetch or a removal replaced the relays meanwhile
+  if (relays === currentRelays) {
+    displayRelayHealth(summarizeRelayHealth(relays, getLastRelayProgress(), currentRelayOrigins, infos), removeRelays);
+  }
+}
+
+/**
+ * Remove relays from the relay list in the form and from the health panel
+ * @param {string[]} relaysToRemove - The relay URLs to remove
+ */
+function removeRelays(relaysToRemove) {
+  const relaysTextarea = document.getElementById('relays');
+  if (relaysTextarea) {
+    const remaining = parseRelayList(relaysTextarea.value)
+      .filter(relay => !relaysToRemove.includes(normalizeRelayUrl(relay)));
+    
+    // An empty list would fall back to the default relays, bringing removed relays back
+    if (remaining.length === 0) {
+      displayRelayHealthStatus('At least one relay has to stay in the relay list');
+      return;
+    }
+    
+    relaysTextarea.value = remaining.join(', ');
+  }
+  
+  displayRelayHealthStatus('');
+  currentRelays = currentRelays.filter(relay => !relaysToRemove.includes(relay));
+  refreshRelayHealth();
+}
+
+/**
+ * Fetch and show the NIP-10 thread around a note
+ * @param {Object} event - A kind 1 note
+ */
+async function openThread(event) {
+  showThreadMessage('Loading thread...');
+  
+  try {
+    const tree = await fetchThread(event, getConfiguredRelays());
+    displayThread(tree, event.id);
+  } catch (error) {
+    console.error('Error loading thread:', error);
+    showThreadMessage(error.message || 'Could not load the thread');
+  }
+}
+
+/**
+ * Re-render the event list for the currently selected kind
+ */
+function refreshEventList() {
+  const kindDropdown = document.getElementById('kind-dropdown');
+  const selectedKind = kindDropdown ? kindDropdown.value : 'all';
+  displayEvents(currentKindGroups, selectedKind, getDisplayOptions());
+}
+
+/**
+ * Read the display options from the results controls
+ * @returns {Object} Options for displayEvents
+ */
+function getDisplayOptions() {
+  const hideInvalidCheckbox = document.getElementById('hide-invalid');
+  const sortOrderSelect = document.getElementById('sort-order');
+  const clientFilter = document.getElementById('client-filter');
+  
+  return {
+    hideInvalid: hideInvalidCheckbox ? hideInvalidCheckbox.checked : false,
+    search: currentSearch,
+    sort: sortOrderSelect ? sortOrderSelect.value : 'newest',
+    client: clientFilter ? clientFilter.value : ''
+  };
 }
 
 // Initialize the application when the DOM is loaded
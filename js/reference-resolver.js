@@ -0,0 +1,264 @@
+/**
+ * Reference Resolver Module
+ * Handles fetching the events and profiles that events refer to through
+ * e, p, a and q tags, and rebuilding NIP-10 reply threads
+ */
+
+/**
+ * Most replies fetched for a thread
+ */
+const MAX_THREAD_EVENTS = 500;
+
+/**
+ * Profile name lookups requested within this delay are sent as one query
+ */
+const PROFILE_BATCH_DELAY_MS = 50;
+
+/**
+ * Labels for each kind of reference tag
+ */
+const REFERENCE_LABELS = {
+  e: 'event',
+  p: 'profile',
+  a: 'address',
+  q: 'quote'
+};
+
+// Pending and finished lookups, keyed by reference
+const referenceCache = new Map();
+
+// Profile names (or null when a profile has no name), keyed by pubkey
+const profileNameCache = new Map();
+
+// Profile name lookups waiting for the next batch
+let pendingProfiles = new Map();
+let profileBatchTimer = null;
+
+/**
+ * List the references an event makes through its tags
+ * For kind 1 notes, `e` tags are labelled with their NIP-10 role.
+ * @param {Object} event - Nostr event object
+ * @returns {Object[]} References with `type`, `value`, `relayHint` and `label`
+ */
+function getReferences(event) {
+  const thread = event.kind === 1 ? window.NostrTools.nip10.parse(event) : null;
+  const references = [];
+  
+  event.tags.forEach(tag => {
+    if (!REFERENCE_LABELS[tag[0]] || !tag[1]) return;
+    
+    let label = REFERENCE_LABELS[tag[0]];
+    
+    if (thread && tag[0] === 'e') {
+      if (thread.reply && thread.reply.id === tag[1]) {
+        label = 'reply to';
+      } else if (thread.root && thread.root.id === tag[1]) {
+        label = 'root';
+      } else {
+        label = 'mention';
+      }
+    }
+    
+    references.push({ type: tag[0], value: tag[1], relayHint: tag[2] || null, label });
+  });
+  
+  return references;
+}
+
+/**
+ * Fetch the event a reference points to
+ * Event ids are looked up directly; addresses (`kind:pubkey:d`) resolve to
+ * the latest version of the addressable event. Results are cached.
+ * @param {Object} reference - A reference from getReferences
+ * @param {string[]} relays - The configured relays
+ * @returns {Promise<Object|null>} The event, or null if no relay has it
+ */
+function resolveReference(reference, relays) {
+  const key = reference.value;
+  
+  if (!referenceCache.has(key)) {
+    const queryRelayList = mergeRelayLists(reference.relayHint ? [reference.relayHint] : [], relays);
+    const address = reference.value.match(/^(\d+):([0-9a-f]{64}):(.*)$/);
+    let filter;
+    
+    if (address) {
+      filter = { kinds: [parseInt(address[1], 10)], authors: [address[2]], '#d': [address[3]] };
+    } else if (/^[0-9a-f]{64}$/.test(reference.value)) {
+      filter = { ids: [reference.value] };
+    } else {
+      return Promise.resolve(null);
+    }
+    
+    const lookup = queryRelays(queryRelayList, filter).then(events => {
+      const event = events.sort((a, b) => b.created_at - a.created_at)[0] || null;
+      
+      // Let a later click try again
+      if (!event) referenceCache.delete(key);
+      
+      return event;
+    });
+    
+    referenceCache.set(key, lookup);
+  }
+  
+  return referenceCache.get(key);
+}
+
+/**
+ * Get the display name from a kind 0 event
+ * @param {Object} metadataEvent - Kind 0 event
+ * @returns {string|null} The display name or name, or null if there is none
+ */
+function getProfileName(metadataEvent) {
+  try {
+    const profile = JSON.parse(metadataEvent.content);
+    const name = profile.display_name || profile.displayName || profile.name;
+    return name ? String(name) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remember the profile names from kind 0 events already fetched
+ * @param {Object[]} events - Nostr events
+ */
+function rememberProfileNames(events) {
+  const latest = {};
+  
+  events.forEach(event => {
+    if (event.kind === 0 && isEventValid(event)
+      && (!latest[event.pubkey] || event.created_at > latest[event.pubkey].created_at)) {
+      latest[event.pubkey] = event;
+    }
+  });
+  
+  Object.values(latest).forEach(event => {
+    const name = getProfileName(event);
+    if (name) {
+      profileNameCache.set(event.pubkey, Promise.resolve(name));
+    }
+  });
+}
+
+/**
+ * Fetch the display name of a profile
+ * Lookups made close together are batched into one query per relay.
+ * @param {string} pubkey - Public key in hex format
+ * @param {string[]} relays - The configured relays
+ * @returns {Promise<string|null>} The name, or null if the profile has none
+ */
+function fetchProfileName(pubkey, relays) {
+  if (!profileNameCache.has(pubkey)) {
+    profileNameCache.set(pubkey, new Promise(resolve => {
+      pendingProfiles.set(pubkey, resolve);
+    }));
+    
+    if (!profileBatchTimer) {
+      profileBatchTimer = setTimeout(() => flushProfileBatch(relays), PROFILE_BATCH_DELAY_MS);
+    }
+  }
+  
+  return profileNameCache.get(pubkey);
+}
+
+/**
+ * Fetch the profiles waiting in the current batch
+ * @param {string[]} relays - The configured relays
+ */
+async function flushProfileBatch(relays) {
+  const batch = pendingProfiles;
+  pendingProfiles = new Map();
+  profileBatchTimer = null;
+  
+  let profiles = [];
+  
+  try {
+    const results = await Promise.all(
+      batchAuthors(Array.from(batch.keys())).map(authors => queryRelays(relays, { kinds: [0], authors }))
+    );
+    profiles = results.flat();
+  } catch (error) {
+    console.error('Error fetching profiles:', error);
+  }
+  
+  // Keep the latest profile per author
+  const latest = {};
+  profiles.forEach(event => {
+    if (!latest[event.pubkey] || event.created_at > latest[event.pubkey].created_at) {
+      latest[event.pubkey] = event;
+    }
+  });
+  
+  batch.forEach((resolve, pubkey) => {
+    resolve(latest[pubkey] ? getProfileName(latest[pubkey]) : null);
+  });
+}
+
+/**
+ * Fetch the NIP-10 thread a note belongs to
+ * The root is found from the note's tags; every kind 1 reply that tags the
+ * root is fetched with it.
+ * @param {Object} event - A kind 1 note in the thread
+ * @param {string[]} relays - The configured relays
+ * @returns {Promise<Object>} The thread tree from buildThreadTree
+ */
+async function fetchThread(event, relays) {
+  const thread = window.NostrTools.nip10.parse(event);
+  const rootPointer = thread.root || thread.reply;
+  const rootId = rootPointer ? rootPointer.id : event.id;
+  const queryRelayList = mergeRelayLists(rootPointer && rootPointer.relays ? rootPointer.relays : [], relays);
+  
+  const [rootEvents, replies] = await Promise.all([
+    rootId === event.id ? Promise.resolve([event]) : queryRelays(queryRelayList, { ids: [rootId] }),
+    queryRelays(queryRelayList, { kinds: [1], '#e': [rootId], limit: MAX_THREAD_EVENTS })
+  ]);
+  
+  // Deduplicate, keeping the note the thread was opened from
+  const events = new Map();
+  [event, ...rootEvents, ...replies].forEach(threadEvent => {
+    if (!events.has(threadEvent.id)) {
+      events.set(threadEvent.id, threadEvent);
+    }
+  });
+  
+  return buildThreadTree(Array.from(events.values()), rootId);
+}
+
+/**
+ * Arrange the notes of a thread into a reply tree
+ * Each note is placed under the note it replies to (NIP-10); notes whose
+ * parent was not fetched are returned separately.
+ * @param {Object[]} events - The notes of the thread
+ * @param {string} rootId - The id of the root note
+ * @returns {Object} `root` (a node, or null if the root was not found) and
+ *   `orphans` (nodes whose parent was not found); nodes have `event` and `children`
+ */
+function buildThreadTree(events, rootId) {
+  const nodes = new Map();
+  events.forEach(event => nodes.set(event.id, { event, children: [] }));
+  
+  const orphans = [];
+  
+  nodes.forEach((node, id) => {
+    if (id === rootId) return;
+    
+    const thread = window.NostrTools.nip10.parse(node.event);
+    const parentPointer = thread.reply || thread.root;
+    const parent = parentPointer ? nodes.get(parentPointer.id) : null;
+    
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      orphans.push(node);
+    }
+  });
+  
+  // Oldest replies first
+  nodes.forEach(node => {
+    node.children.sort((a, b) => a.event.created_at - b.event.created_at);
+  });
+  orphans.sort((a, b) => a.event.created_at - b.event.created_at);
+  
+  return { root: nodes.get(rootId) || null, orphans };
+}
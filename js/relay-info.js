@@ -0,0 +1,150 @@
+/**
+ * Relay Info Module
+ * Handles fetching NIP-11 relay information documents and summarizing the
+ * health of each relay from the last fetch
+ */
+
+/**
+ * Time to wait for a relay information document
+ */
+const RELAY_INFO_TIMEOUT_MS = 5000;
+
+/**
+ * Status of a relay in the health panel
+ */
+const RELAY_HEALTH = {
+  OK: 'ok',
+  PARTIAL: 'partial',
+  ERROR: 'error',
+  UNREACHABLE: 'unreachable',
+  NOT_QUERIED: 'not queried'
+};
+
+// Pending and finished information requests, keyed by relay URL
+const relayInfoCache = new Map();
+
+/**
+ * Get the HTTP URL a relay serves its information document from
+ * @param {string} relay - The relay URL
+ * @returns {string} The same URL with an http(s) scheme
+ */
+function getRelayInfoUrl(relay) {
+  return relay.replace(/^ws(s?):\/\//i, 'http$1://');
+}
+
+/**
+ * Fetch a relay's NIP-11 information document
+ * Documents are cached; failed requests are tried again next time.
+ * @param {string} relay - The relay URL
+ * @returns {Promise<Object>} A promise that resolves to the document
+ */
+function fetchRelayInfo(relay) {
+  if (!relayInfoCache.has(relay)) {
+    const request = withTimeout(
+      fetch(getRelayInfoUrl(relay), { headers: { Accept: 'application/nostr+json' } }),
+      RELAY_INFO_TIMEOUT_MS,
+      'Timeout'
+    )
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(info => {
+        if (!info || typeof info !== 'object' || Array.isArray(info)) {
+          throw new Error('Not a relay information document');
+        }
+        return info;
+      })
+      .catch(error => {
+        relayInfoCache.delete(relay);
+        throw error;
+      });
+    
+    relayInfoCache.set(relay, request);
+  }
+  
+  return relayInfoCache.get(relay);
+}
+
+/**
+ * Fetch the information documents of several relays
+ * @param {string[]} relays - Array of relay URLs
+ * @returns {Promise<Object>} A promise that resolves to `{ info, error }` keyed by relay URL
+ */
+async function fetchRelayInfos(relays) {
+  const results = await Promise.allSettled(relays.map(fetchRelayInfo));
+  const infos = {};
+  
+  results.forEach((result, index) => {
+    infos[relays[index]] = result.status === 'fulfilled'
+      ? { info: result.value, error: null }
+      : { info: null, error: (result.reason && result.reason.message) || 'Unavailable' };
+  });
+  
+  return infos;
+}
+
+/**
+ * Describe the limitations a relay advertises
+ * @param {Object} info - The relay information document
+ * @returns {string[]} Short descriptions, e.g. "max_limit 500" or "auth required"
+ */
+function describeRelayLimits(info) {
+  const limitation = (info && info.limitation) || {};
+  const limits = [];
+  
+  ['max_limit', 'max_subscriptions', 'max_filters', 'max_message_length'].forEach(name => {
+    if (typeof limitation[name] === 'number') {
+      limits.push(`${name} ${limitation[name]}`);
+    }
+  });
+  
+  if (limitation.auth_required) limits.push('auth required');
+  if (limitation.payment_required) limits.push('payment required');
+  if (limitation.restricted_writes) limits.push('restricted writes');
+  
+  return limits;
+}
+
+/**
+ * Combine the last fetch's progress and the information documents into one
+ * health record per relay
+ * @param {string[]} relays - Array of relay URLs
+ * @param {Object} progress - Progress records from getLastRelayProgress
+ * @param {Object} origins - Where each relay came from: descriptions keyed by relay URL
+ * @param {Object} [infos] - Results from fetchRelayInfos, if available yet
+ * @returns {Object[]} Records with `relay`, `origins`, `status`, `error`,
+ *   `connectMs`, `eoseMs`, `info` and `infoError`; `info` is undefined while loading
+ */
+function summarizeRelayHealth(relays, progress, origins, infos = null) {
+  return relays.map(relay => {
+    const relayProgress = progress[relay];
+    let status = RELAY_HEALTH.NOT_QUERIED;
+    
+    if (relayProgress) {
+      if (relayProgress.status === 'done') {
+        status = RELAY_HEALTH.OK;
+      } else if (relayProgress.status === 'partial') {
+        status = RELAY_HEALTH.PARTIAL;
+      } else if (relayProgress.status === 'failed') {
+        // A relay that connected but then failed is reachable
+        status = relayProgress.connectMs === undefined ? RELAY_HEALTH.UNREACHABLE : RELAY_HEALTH.ERROR;
+      }
+    }
+    
+    const infoResult = infos ? infos[relay] : null;
+    
+    return {
+      relay,
+      origins: origins[relay] || [],
+      status,
+      error: relayProgress ? relayProgress.error || null : null,
+      connectMs: relayProgress ? relayProgress.connectMs : undefined,
+      eoseMs: relayProgress ? relayProgress.eoseMs : undefined,
+      info: infoResult ? infoResult.info : undefined,
+      infoError: infoResult ? infoResult.error : null
+    };
+  });
+}
@@ -7,17 +7,34 @@ const DEFAULT_RELAYS = [
   'wss://relay.nostr.band',
   'wss://nos.lol',
   'wss://nostr.wine',
-  'wss://relay.current.fyi',
   'wss://relay.snort.social',
   'wss://nostr.fmt.wiz.biz',
   'wss://relay.nostr.info',
-  'wss://nostr.zebedee.cloud',
   'wss://nostr.oxtr.dev',
-  'wss://brb.io',
   'wss://relay.nostr.bg',
   'wss://nostr.mom',
 ];
 
+/**
+ * Relays that index relay lists (kind 10002) and contact lists (kind 3) for
+ * many users, asked when discovering an author's relays
+ */
+const INDEXER_RELAYS = [
+  'wss://purplepag.es',
+  'wss://relay.nostr.band',
+  'wss://relay.damus.io',
+];
+
+/**
+ * Most write relays of one author used when discovering relays
+ */
+const MAX_OUTBOX_RELAYS_PER_AUTHOR = 4;
+
+/**
+ * Most discovered relays added to a fetch
+ */
+const MAX_OUTBOX_RELAYS = 20;
+
 /**
  * Parse relay list from string input
  * @param {string} relaysString - Comma-separated list of relay URLs
@@ -33,3 +50,108 @@ function parseRelayList(relaysString) {
     .map(relay => relay.trim())
     .filter(relay => relay.startsWith('wss://') || relay.startsWith('ws://'));
 }
+
+/**
+ * Normalize a relay URL so the same relay is not listed twice
+ * @param {string} relay - The relay URL
+ * @returns {string} The URL with a lowercase host and no trailing slash
+ */
+function normalizeRelayUrl(relay) {
+  const trimmed = relay.trim().replace(/\/+$/, '');
+  const match = trimmed.match(/^(wss?:\/\/)([^/]+)(.*)$/i);
+  
+  if (!match) {
+    return trimmed;
+  }
+  
+  return match[1].toLowerCase() + match[2].toLowerCase() + match[3];
+}
+
+/**
+ * Merge several relay lists, dropping duplicates and non-websocket URLs
+ * @param {...string[]} lists - Relay lists in order of preference
+ * @returns {string[]} The merged relay list
+ */
+function mergeRelayLists(...lists) {
+  const merged = [];
+  
+  lists.forEach(list => {
+    (list || []).forEach(relay => {
+      const normalized = normalizeRelayUrl(relay);
+      
+      if (/^wss?:\/\//.test(normalized) && !merged.includes(normalized)) {
+        merged.push(normalized);
+      }
+    });
+  });
+  
+  return merged;
+}
+
+/**
+ * Get the write relays from a NIP-65 relay list
+ * `r` tags without a marker are both read and write relays.
+ * @param {Object} event - Kind 10002 event
+ * @returns {string[]} The normalized write relay URLs
+ */
+function getWriteRelaysFromRelayList(event) {
+  const relays = event.tags
+    .filter(tag => tag[0] === 'r' && tag[1] && (!tag[2] || tag[2] === 'write'))
+    .map(tag => tag[1]);
+  
+  return mergeRelayLists(relays);
+}
+
+/**
+ * Get the write relays from the legacy relay JSON in a kind 3 contact list
+ * The content maps relay URLs to `{ read, write }`.
+ * @param {Object} event - Kind 3 event
+ * @returns {string[]} The normalized write relay URLs
+ */
+function getWriteRelaysFromContactList(event) {
+  let relays;
+  
+  try {
+    relays = JSON.parse(event.content);
+  } catch (error) {
+    return [];
+  }
+  
+  if (!relays || typeof relays !== 'object' || Array.isArray(relays)) {
+    return [];
+  }
+  
+  return mergeRelayLists(
+    Object.entries(relays)
+      .filter(([, usage]) => !usage || usage.write !== false)
+      .map(([relay]) => relay)
+  );
+}
+
+/**
+ * Pick the relays to fetch from out of the authors' write relays
+ * Each author contributes up to MAX_OUTBOX_RELAYS_PER_AUTHOR relays; the
+ * relays shared by the most authors are kept, up to MAX_OUTBOX_RELAYS.
+ * @param {Object} authorRelays - `{ relays, source }` keyed by author public key
+ * @returns {Object[]} Relays with the `authors` that write to them and the
+ *   `sources` (relay list kinds) they were found in, most shared first
+ */
+function selectOutboxRelays(authorRelays) {
+  const selected = new Map();
+  
+  Object.entries(authorRelays).forEach(([pubkey, { relays, source }]) => {
+    relays.slice(0, MAX_OUTBOX_RELAYS_PER_AUTHOR).forEach(relay => {
+      if (!selected.has(relay)) {
+        selected.set(relay, { relay, authors: [], sources: new Set() });
+      }
+      
+      selected.get(relay).authors.push(pubkey);
+      selected.get(relay).sources.add(source);
+    });
+  });
+  
+  return Array.from(selected.values())
+    .sort((a, b) => b.authors.length - a.authors.length)
+    .slice(0, MAX_OUTBOX_RELAYS)
+    .map(entry => ({ ...entry, sources: Array.from(entry.sources) }));
+}
@@ -0,0 +1,277 @@
+/**
+ * Saved Queries Module
+ * Handles named queries and relay sets stored in localStorage, and sharing
+ * them as JSON files
+ */
+
+/**
+ * localStorage key the saved queries and relay sets are stored under
+ */
+const SAVED_QUERIES_STORAGE_KEY = 'nostr-kind-explorer.saved-queries';
+
+/**
+ * Version written to exported files
+ */
+const SAVED_QUERIES_FILE_VERSION = 1;
+
+/**
+ * Date range presets, relative to the day a query is restored
+ * `days` is null for no date limit.
+ */
+const DATE_PRESETS = {
+  '7d': { label: 'Last 7 days', days: 7 },
+  '30d': { label: 'Last 30 days', days: 30 },
+  '365d': { label: 'Last 365 days', days: 365 },
+  all: { label: 'All time', days: null }
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time, as date inputs expect
+ * @param {Date} date - The date
+ * @returns {string} The formatted date
+ */
+function formatDateInputValue(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the start and end dates of a date preset
+ * @param {string} preset - One of the DATE_PRESETS keys
+ * @param {Date} [today] - The day the range ends on
+ * @returns {Object} `start` and `end` as YYYY-MM-DD, empty for no limit
+ */
+function getDatePresetRange(preset, today = new Date()) {
+  const datePreset = DATE_PRESETS[preset];
+  if (!datePreset) {
+    throw new Error(`Unknown date preset: ${preset}`);
+  }
+  
+  if (datePreset.days === null) {
+    return { start: '', end: '' };
+  }
+  
+  const start = new Date(today);
+  start.setDate(today.getDate() - datePreset.days);
+  
+  return { start: formatDateInputValue(start), end: formatDateInputValue(today) };
+}
+
+/**
+ * Check a saved query and bring it into its stored form
+ * @param {*} query - The parsed query
+ * @returns {Object} The query with `name`, `ids`, `relays`, `relaySet`,
+ *   `datePreset`, `start`, `end`, `kind` and `follows`
+ */
+function normalizeSavedQuery(query) {
+  if (!query || typeof query !== 'object' || typeof query.name !== 'string' || !query.name.trim()) {
+    throw new Error('Every saved query needs a name');
+  }
+  
+  const datePreset = query.datePreset || '';
+  if (datePreset && !DATE_PRESETS[datePreset]) {
+    throw new Error(`Saved query "${query.name}" has an unknown date preset: ${datePreset}`);
+  }
+  
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  
+  return {
+    name: query.name.trim(),
+    ids: text(query.ids),
+    relays: text(query.relays),
+    relaySet: text(query.relaySet),
+    datePreset,
+    // Fixed dates are only kept when no preset is used
+    start: datePreset ? '' : text(query.start),
+    end: datePreset ? '' : text(query.end),
+    kind: query.kind === undefined || query.kind === null ? '' : String(query.kind).trim(),
+    follows: Boolean(query.follows)
+  };
+}
+
+/**
+ * Check a relay set and bring it into its stored form
+ * @param {*} relaySet - The parsed relay set
+ * @returns {Object} The relay set with `name` and `relays`
+ */
+function normalizeRelaySet(relaySet) {
+  if (!relaySet || typeof relaySet !== 'object' || typeof relaySet.name !== 'string' || !relaySet.name.trim()) {
+    throw new Error('Every relay set needs a name');
+  }
+  
+  // The entries are checked one by one; parseRelayList would turn an empty list into the default relays
+  const relays = Array.isArray(relaySet.relays)
+    ? mergeRelayLists(relaySet.relays.filter(relay => typeof relay === 'string'))
+    : [];
+  if (relays.length === 0) {
+    throw new Error(`Relay set "${relaySet.name}" has no valid relays`);
+  }
+  
+  return { name: relaySet.name.trim(), relays };
+}
+
+/**
+ * Check stored entries, skipping the ones that are no longer valid
+ * @param {*} entries - The stored entries
+ * @param {Function} normalize - normalizeSavedQuery or normalizeRelaySet
+ * @returns {Object[]} The valid entries in their stored form
+ */
+function normalizeStoredEntries(entries, normalize) {
+  const valid = [];
+  
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    try {
+      valid.push(normalize(entry));
+    } catch (error) {
+      console.error('Skipping an invalid saved entry:', error);
+    }
+  });
+  
+  return valid;
+}
+
+/**
+ * Read the saved queries and relay sets
+ * Unreadable storage is reported and treated as empty; invalid entries are
+ * skipped so they do not take the valid ones with them.
+ * @returns {Object} `queries` and `relaySets`, each sorted by name
+ */
+function loadSavedQueries() {
+  const saved = { queries: [], relaySets: [] };
+  
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_QUERIES_STORAGE_KEY) || 'null');
+    
+    if (stored) {
+      saved.queries = normalizeStoredEntries(stored.queries, normalizeSavedQuery);
+      saved.relaySets = normalizeStoredEntries(stored.relaySets, normalizeRelaySet);
+    }
+  } catch (error) {
+    console.error('Error reading saved queries:', error);
+  }
+  
+  return saved;
+}
+
+/**
+ * Write the saved queries and relay sets
+ * @param {Object} saved - `queries` and `relaySets`
+ */
+function storeSavedQueries(saved) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  
+  localStorage.setItem(SAVED_QUERIES_STORAGE_KEY, JSON.stringify({
+    queries: [...saved.queries].sort(byName),
+    relaySets: [...saved.relaySets].sort(byName)
+  }));
+}
+
+/**
+ * Add entries to a list, replacing any entry with the same name
+ * @param {Object[]} list - The existing entries
+ * @param {Object[]} entries - The entries to add
+ * @returns {Object[]} The combined list
+ */
+function replaceByName(list, entries) {
+  const names = new Set(entries.map(entry => entry.name));
+  return [...list.filter(entry => !names.has(entry.name)), ...entries];
+}
+
+/**
+ * Save a query, replacing any saved query with the same name
+ * @param {Object} query - The query (see normalizeSavedQuery)
+ * @returns {Object} The query as saved
+ */
+function saveQuery(query) {
+  const saved = loadSavedQueries();
+  const normalized = normalizeSavedQuery(query);
+  
+  saved.queries = replaceByName(saved.queries, [normalized]);
+  storeSavedQueries(saved);
+  
+  return normalized;
+}
+
+/**
+ * Delete a saved query
+ * @param {string} name - The query name
+ */
+function deleteSavedQuery(name) {
+  const saved = loadSavedQueries();
+  saved.queries = saved.queries.filter(query => query.name !== name);
+  storeSavedQueries(saved);
+}
+
+/**
+ * Save a relay set, replacing any relay set with the same name
+ * @param {string} name - The relay set name
+ * @param {string[]} relays - Array of relay URLs
+ * @returns {Object} The relay set as saved
+ */
+function saveRelaySet(name, relays) {
+  const saved = loadSavedQueries();
+  const normalized = normalizeRelaySet({ name, relays });
+  
+  saved.relaySets = replaceByName(saved.relaySets, [normalized]);
+  storeSavedQueries(saved);
+  
+  return normalized;
+}
+
+/**
+ * Delete a relay set
+ * Saved queries that use it keep their own copy of the relay list.
+ * @param {string} name - The relay set name
+ */
+function deleteRelaySet(name) {
+  const saved = loadSavedQueries();
+  saved.relaySets = saved.relaySets.filter(relaySet => relaySet.name !== name);
+  storeSavedQueries(saved);
+}
+
+/**
+ * Download the saved queries and relay sets as a JSON file
+ */
+function exportSavedQueries() {
+  const saved = loadSavedQueries();
+  const date = new Date().toISOString().substring(0, 10);
+  
+  const content = JSON.stringify({
+    version: SAVED_QUERIES_FILE_VERSION,
+    queries: saved.queries,
+    relaySets: saved.relaySets
+  }, null, 2);
+  
+  downloadFile(`nostr-kind-explorer-queries-${date}.json`, content, 'application/json');
+}
+
+/**
+ * Add the queries and relay sets of an exported file to the saved ones
+ * Entries with the name of an existing entry replace it. Nothing is saved
+ * if any entry in the file is invalid.
+ * @param {string} text - The file content
+ * @returns {Object} The number of `queries` and `relaySets` imported
+ */
+function importSavedQueries(text) {
+  let data;
+  
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  
+  if (!data || typeof data !== 'object' || (!Array.isArray(data.queries) && !Array.isArray(data.relaySets))) {
+    throw new Error('The file has no saved queries or relay sets');
+  }
+  
+  const queries = (data.queries || []).map(normalizeSavedQuery);
+  const relaySets = (data.relaySets || []).map(normalizeRelaySet);
+  
+  const saved = loadSavedQueries();
+  saved.queries = replaceByName(saved.queries, queries);
+  saved.relaySets = replaceByName(saved.relaySets, relaySets);
+  storeSavedQueries(saved);
+  
+  return { queries: queries.length, relaySets: relaySets.length };
+}
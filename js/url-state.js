@@ -0,0 +1,104 @@
+/**
+ * URL State Module
+ * Handles encoding the query and the current view in the URL hash, so a view
+ * can be shared as a link and browser back/forward moves between views
+ *
+ * Hash parameters:
+ *   ids      identifiers as entered (npub, nprofile, NIP-05, ...)
+ *   start    start date (YYYY-MM-DD)
+ *   end      end date (YYYY-MM-DD)
+ *   relays   relay list as entered (empty for the default relays)
+ *   kind     specific kind fetched
+ *   follows  1 to include everyone the authors follow
+ *   outbox   0 to skip discovering the authors' relays (on when absent)
+ *   cache    0 to skip the local event cache (on when absent)
+ *   compare  comparison mode: dates or authors
+ *   cids     identifiers to compare with
+ *   cstart   start date to compare with
+ *   cend     end date to compare with
+ *   view     kind selected in the kind dropdown
+ *   client   client selected in the client filter
+ *   q        search query
+ */
+
+/**
+ * Fields of the URL state that describe the fetch, as opposed to the view
+ */
+const URL_FETCH_FIELDS = ['ids', 'start', 'end', 'relays', 'kind', 'follows', 'outbox', 'cache', 'compare', 'cids', 'cstart', 'cend'];
+
+/**
+ * Fields of the URL state that describe the view of the fetched events
+ */
+const URL_VIEW_FIELDS = ['view', 'client', 'q'];
+
+/**
+ * Read the state encoded in a URL hash
+ * @param {string} [hash] - The hash, including the leading '#'
+ * @returns {Object|null} The state with `ids`, `start`, `end`, `relays`,
+ *   `kind`, `follows`, `outbox`, `cache`, `compare`, `cids`, `cstart`, `cend`,
+ *   `view`, `client` and `q` (empty strings when absent), or null if the hash
+ *   does not describe a fetch
+ */
+function readUrlState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  
+  if (!params.get('ids')) {
+    return null;
+  }
+  
+  const state = {};
+  [...URL_FETCH_FIELDS, ...URL_VIEW_FIELDS].forEach(field => {
+    state[field] = params.get(field) || '';
+  });
+  
+  return state;
+}
+
+/**
+ * Encode a state as a URL hash
+ * Empty fields and the default view ('all') are left out.
+ * @param {Object} state - The state (see readUrlState)
+ * @returns {string} The hash, including the leading '#'
+ */
+function buildUrlHash(state) {
+  const params = new URLSearchParams();
+  
+  [...URL_FETCH_FIELDS, ...URL_VIEW_FIELDS].forEach(field => {
+    const value = state[field];
+    
+    if (value && !(field === 'view' && value === 'all')) {
+      params.set(field, value);
+    }
+  });
+  
+  return `#${params.toString()}`;
+}
+
+/**
+ * Check whether two states describe the same fetch
+ * @param {Object} a - A state (see readUrlState)
+ * @param {Object} b - Another state
+ * @returns {boolean} True if every fetch field is equal
+ */
+function isSameFetch(a, b) {
+  return URL_FETCH_FIELDS.every(field => (a[field] || '') === (b[field] || ''));
+}
+
+/**
+ * Record a state in the URL
+ * Nothing is recorded if the URL already holds this state, however encoded.
+ * @param {Object} state - The state (see readUrlState)
+ * @param {boolean} [replace] - Replace the current history entry instead of adding one
+ */
+function writeUrlState(state, replace = false) {
+  const hash = buildUrlHash(state);
+  const currentState = readUrlState();
+  
+  if (currentState && hash === buildUrlHash(currentState)) return;
+  
+  if (replace) {
+    history.replaceState(null, '', hash);
+  } else {
+    history.pushState(null, '', hash);
+  }
+}
@@ -2,115 +2,80 @@
 
 /**
  * Kind Name Generator
- * This script fetches kind names from the Nostr NIPs repository
- * and generates a JSON file with the mapping of kind numbers to names.
- * 
+ * This script reads the "Event Kinds" table in the README of the Nostr NIPs
+ * repository and updates the kind registry (js/kind-names.json and the
+ * KIND_REGISTRY / KIND_RANGES objects in js/kind-names.js).
+ *
+ * Names and NIP references come from the table. Curated fields (expected
+ * tags, content format, deprecation) are kept from the current registry.
+ *
  * Usage:
- *   node kind-name-generator.js [--token <github_token>]
- * 
+ *   node kind-name-generator.js [--nips-dir <path>] [--dry-run]
+ *
  * Options:
- *   --token <github_token>  GitHub personal access token for API authentication
- *                          (helps avoid rate limits)
+ *   --nips-dir <path>  Read README.md from a local checkout of the NIPs
+ *                      repository instead of fetching it from GitHub
+ *   --dry-run          Print the changes without writing any files
  */
 
 const fs = require('fs');
 const https = require('https');
-const { execSync } = require('child_process');
+const path = require('path');
 
-// Base kinds we know
-const kindNames = {
-  0: "Metadata",
-  1: "Short Text Note",
-  2: "Recommend Relay",
-  3: "Contacts",
-  4: "Encrypted Direct Message",
-  5: "Event Deletion",
-  6: "Repost",
-  7: "Reaction",
-  8: "Badge Award",
-  9: "Cancel Badge Award",
-  10: "Job Request",
-  11: "Job Result",
-  40: "Channel Creation",
-  41: "Channel Metadata",
-  42: "Channel Message",
-  43: "Channel Hide Message",
-  44: "Channel Mute User",
-  45: "Public Chat Reserved",
-  1063: "File Metadata",
-  1984: "Reporting",
-  9734: "Zap Request",
-  9735: "Zap",
-  10000: "Mute List",
-  10001: "Pin List",
-  10002: "Relay List Metadata",
-  13194: "Wallet Info",
-  22242: "Client Authentication",
-  23194: "Wallet Request",
-  23195: "Wallet Response",
-  24133: "Nostr Connect",
-  30000: "Categorized People List",
-  30001: "Categorized Bookmark List",
-  30008: "Profile Badges",
-  30009: "Badge Definition",
-  30017: "Create or update a stall",
-  30018: "Create or update a product",
-  30023: "Long-form Content",
-  30078: "Application-specific Data",
-  30402: "Classifieds",
-  31989: "Handler recommendation",
-  31990: "Handler information",
-};
+const NIPS_README_URL = 'https://raw.githubusercontent.com/nostr-protocol/nips/master/README.md';
+const KIND_NAMES_JSON_PATH = path.join(__dirname, 'js', 'kind-names.json');
+const KIND_NAMES_JS_PATH = path.join(__dirname, 'js', 'kind-names.js');
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-let githubToken = null;
+/**
+ * Longest name accepted for a kind
+ */
+const MAX_NAME_LENGTH = 60;
 
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--token' && i + 1 < args.length) {
-    githubToken = args[i + 1];
-    i++; // Skip the next argument
-  }
-}
+/**
+ * Below this many rows the table was almost certainly not parsed correctly
+ */
+const MIN_TABLE_ROWS = 50;
 
-// Try to get token from git credential manager if not provided
-if (!githubToken) {
-  try {
-    console.log('No GitHub token provided. Attempting to use git credential manager...');
-    const gitCredential = execSync('git credential fill', {
-      input: 'protocol=https\nhost=github.com\n\n',
-      encoding: 'utf8'
-    });
-    
-    const match = gitCredential.match(/password=([^\n]+)/);
-    if (match && match[1]) {
-      githubToken = match[1];
-      console.log('Successfully retrieved token from git credential manager.');
+/**
+ * Order of the fields in a registry entry
+ */
+const ENTRY_FIELDS = ['from', 'to', 'name', 'nips', 'tags', 'content', 'deprecated'];
+
+/**
+ * Parse the command line arguments
+ * @param {string[]} args - The arguments after the script name
+ * @returns {Object} The options (`nipsDir`, `dryRun`)
+ */
+function parseArgs(args) {
+  const options = { nipsDir: null, dryRun: false };
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--nips-dir' && i + 1 < args.length) {
+      options.nipsDir = args[i + 1];
+      i++; // Skip the next argument
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
     }
-  } catch (error) {
-    console.log('Could not retrieve GitHub token from git credential manager.');
   }
+  
+  return options;
 }
 
 /**
- * Make a GitHub API request
+ * Fetch a URL as text
  * @param {string} url - The URL to request
- * @returns {Promise<Object>} A promise that resolves to the response data
+ * @returns {Promise<string>} A promise that resolves to the response body
  */
-function githubRequest(url) {
+function fetchText(url) {
   return new Promise((resolve, reject) => {
     const options = {
       headers: {
-        'User-Agent': 'Nostr-Kind-Explorer',
-        'Accept': 'application/vnd.github.v3+json'
+        'User-Agent': 'Nostr-Kind-Explorer'
       }
     };
     
-    // Add authorization header if token is available
-    if (githubToken) {
-      options.headers['Authorization'] = `token ${githubToken}`;
-    }
-    
     https.get(url, options, (res) => {
       let data = '';
       
@@ -120,160 +85,393 @@ function githubRequest(url) {
       
       res.on('end', () => {
         if (res.statusCode === 200) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (error) {
-            reject(new Error(`Error parsing JSON: ${error.message}`));
-          }
-        } else if (res.statusCode === 401 || res.statusCode === 403) {
-          console.error(`GitHub API rate limit exceeded (${res.statusCode}). Using local kind definitions only.`);
-          // Instead of rejecting, resolve with an empty result
-          resolve({ items: [] });
+          resolve(data);
         } else {
-          reject(new Error(`GitHub API error: ${res.statusCode}`));
+          reject(new Error(`Could not fetch ${url}: HTTP ${res.statusCode}`));
         }
       });
     }).on('error', (err) => {
-      console.error(`Network error: ${err.message}. Using local kind definitions only.`);
-      // Instead of rejecting, resolve with an empty result
-      resolve({ items: [] });
+      reject(new Error(`Could not fetch ${url}: ${err.message}`));
     });
   });
 }
 
 /**
- * Fetch the content of a file from GitHub
- * @param {string} url - The URL of the file
- * @returns {Promise<string>} A promise that resolves to the file content
+ * Read the NIPs README from a local checkout or from GitHub
+ * @param {string|null} nipsDir - Path to a local NIPs checkout, if any
+ * @returns {Promise<string>} The README contents
  */
-async function fetchFileContent(url) {
-  try {
-    const fileData = await githubRequest(url);
-    return Buffer.from(fileData.content, 'base64').toString('utf-8');
-  } catch (error) {
-    console.error(`Error fetching file content: ${error.message}`);
-    return '';
+async function readNipsReadme(nipsDir) {
+  if (nipsDir) {
+    const readmePath = path.join(nipsDir, 'README.md');
+    console.log(`Reading ${readmePath}...`);
+    return fs.readFileSync(readmePath, 'utf-8');
   }
+  
+  console.log(`Fetching ${NIPS_README_URL}...`);
+  return fetchText(NIPS_README_URL);
 }
 
 /**
- * Extract kind definitions from content
- * @param {string} content - The content to extract kind definitions from
- * @returns {Object} An object with kind numbers as keys and names as values
+ * Parse the kind cell of a table row
+ * Accepts a single kind (`1`), a range (`5000`-`5999`) and the shorthand
+ * range form (`39000-9`).
+ * @param {string} cell - The cell text
+ * @returns {Object} `{ from, to }` (equal for a single kind)
  */
-function extractKindDefinitions(content) {
-  const extractedKinds = {};
+function parseKindCell(cell) {
+  const text = cell.replace(/`/g, '').trim();
   
-  // Look for kind definitions in various formats
-  
-  // Format: kind: X, <description>
-  const kindRegex1 = /kind:\s*(\d+)[^,]*,\s*([^,\n\r]+)/gi;
-  let match1;
+  const single = text.match(/^(\d+)$/);
+  if (single) {
+    const kind = parseInt(single[1], 10);
+    return { from: kind, to: kind };
+  }
   
-  while ((match1 = kindRegex1.exec(content)) !== null) {
-    const kind = parseInt(match1[1], 10);
-    const name = match1[2].trim();
+  const range = text.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) {
+    // "39000-9" means 39000 to 39009
+    let end = range[2];
+    if (end.length < range[1].length) {
+      end = range[1].substring(0, range[1].length - end.length) + end;
+    }
+    
+    const from = parseInt(range[1], 10);
+    const to = parseInt(end, 10);
     
-    if (!extractedKinds[kind]) {
-      extractedKinds[kind] = name;
+    if (to <= from) {
+      throw new Error(`Invalid kind range "${cell.trim()}"`);
     }
+    
+    return { from, to };
   }
   
-  // Format: "kind" X (<description>)
-  const kindRegex2 = /"kind"\s*(\d+)\s*\(([^)]+)\)/gi;
-  let match2;
+  throw new Error(`Invalid kind "${cell.trim()}"`);
+}
+
+/**
+ * Parse the NIP cell of a table row
+ * @param {string} cell - The cell text, e.g. "[65](65.md), [51](51.md)" or "01 (deprecated)"
+ * @returns {Object} `{ nips, deprecated }`
+ */
+function parseNipCell(cell) {
+  const nips = [];
+  const linkPattern = /\(([0-9A-F]{2})\.md\)/gi;
+  let match;
   
-  while ((match2 = kindRegex2.exec(content)) !== null) {
-    const kind = parseInt(match2[1], 10);
-    const name = match2[2].trim();
-    
-    if (!extractedKinds[kind]) {
-      extractedKinds[kind] = name;
-    }
+  while ((match = linkPattern.exec(cell)) !== null) {
+    nips.push(match[1].toUpperCase());
   }
   
-  // Format: Kind X: <description>
-  const kindRegex3 = /kind\s*(\d+):\s*([^,\n\r]+)/gi;
-  let match3;
+  // Unlinked references such as "01 (deprecated)"
+  if (nips.length === 0) {
+    const bare = cell.trim().match(/^([0-9A-F]{2})\b/i);
+    if (bare) nips.push(bare[1].toUpperCase());
+  }
   
-  while ((match3 = kindRegex3.exec(content)) !== null) {
-    const kind = parseInt(match3[1], 10);
-    const name = match3[2].trim();
-    
-    if (!extractedKinds[kind]) {
-      extractedKinds[kind] = name;
-    }
+  return { nips, deprecated: /deprecated/i.test(cell) };
+}
+
+/**
+ * Check that a kind name looks like a name rather than a prose or code fragment
+ * @param {string} name - The name to check
+ * @param {string} kindLabel - The kind, for the error message
+ * @throws {Error} If the name is not acceptable
+ */
+function validateKindName(name, kindLabel) {
+  if (!name) {
+    throw new Error(`Kind ${kindLabel} has an empty name`);
+  }
+  
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Kind ${kindLabel} has a name longer than ${MAX_NAME_LENGTH} characters: "${name}"`);
+  }
+  
+  if (/[`|<>[\]{}"]|\/\/|\.md\b/.test(name)) {
+    throw new Error(`Kind ${kindLabel} has a name with markup or code in it: "${name}"`);
   }
   
-  return extractedKinds;
+  if (!/^[A-Za-z0-9]/.test(name)) {
+    throw new Error(`Kind ${kindLabel} has a name that does not start with a letter or digit: "${name}"`);
+  }
 }
 
 /**
- * Main function
+ * Parse the "Event Kinds" table of the NIPs README
+ * @param {string} readme - The README contents
+ * @returns {Object} `{ kinds, ranges }`: kinds keyed by number, and a list of ranges
+ * @throws {Error} If the table is missing or any row cannot be parsed
  */
-async function main() {
-  try {
-    console.log('Fetching kind names from Nostr NIPs repository...');
-    
-    // Search for kind definitions in NIPs
-    const searchUrl = 'https://api.github.com/search/code?q=repo:nostr-protocol/nips+kind&per_page=100';
-    const searchData = await githubRequest(searchUrl);
+function parseKindsTable(readme) {
+  const lines = readme.split(/\r?\n/);
+  const headingIndex = lines.findIndex(line => /^#+\s*Event Kinds\s*$/i.test(line));
+  
+  if (headingIndex === -1) {
+    throw new Error('Could not find the "Event Kinds" heading in the NIPs README');
+  }
+  
+  // The table starts at the first row after the heading
+  let index = headingIndex + 1;
+  while (index < lines.length && !lines[index].trim().startsWith('|')) {
+    index++;
+  }
+  
+  const rows = [];
+  while (index < lines.length && lines[index].trim().startsWith('|')) {
+    rows.push({ line: lines[index], number: index + 1 });
+    index++;
+  }
+  
+  // Skip the header and separator rows
+  const header = rows.shift();
+  const separator = rows.shift();
+  if (!header || !separator || !/^\|[\s|:-]+\|$/.test(separator.line.trim())) {
+    throw new Error('The "Event Kinds" table does not have the expected header');
+  }
+  
+  if (rows.length < MIN_TABLE_ROWS) {
+    throw new Error(`The "Event Kinds" table has only ${rows.length} rows, expected at least ${MIN_TABLE_ROWS}`);
+  }
+  
+  const kinds = {};
+  const ranges = [];
+  
+  rows.forEach(({ line, number }) => {
+    const cells = line.trim().replace(/^\||\|$/g, '').split('|');
     
-    // If we have items, process them
-    if (searchData.items && searchData.items.length > 0) {
-      console.log(`Found ${searchData.items.length} files with kind definitions`);
-    } else {
-      console.log('No files found or GitHub API rate limit exceeded. Using local kind definitions only.');
+    if (cells.length !== 3) {
+      throw new Error(`README line ${number}: expected 3 columns, found ${cells.length}: ${line}`);
     }
     
-    // Process each result
-    for (const item of searchData.items) {
-      console.log(`Processing ${item.path}...`);
+    try {
+      const { from, to } = parseKindCell(cells[0]);
+      const { nips, deprecated } = parseNipCell(cells[2]);
+      const name = cells[1].replace(/\(deprecated\)/i, '').trim();
+      const kindLabel = from === to ? String(from) : `${from}-${to}`;
       
-      // Fetch the file content
-      const content = await fetchFileContent(item.url);
+      validateKindName(name, kindLabel);
       
-      // Extract kind definitions
-      const extractedKinds = extractKindDefinitions(content);
+      const entry = { name, nips };
+      if (deprecated) entry.deprecated = true;
       
-      // Add to our map if not already present
-      for (const [kind, name] of Object.entries(extractedKinds)) {
-        if (!kindNames[kind]) {
-          kindNames[kind] = name;
-          console.log(`Found kind ${kind}: ${name}`);
+      if (from === to) {
+        if (kinds[from]) {
+          throw new Error(`Kind ${from} is listed more than once`);
         }
+        kinds[from] = entry;
+      } else {
+        ranges.push({ from, to, ...entry });
       }
+    } catch (error) {
+      throw new Error(`README line ${number}: ${error.message}`);
+    }
+  });
+  
+  return { kinds, ranges };
+}
+
+/**
+ * Read the current registry
+ * @returns {Object} `{ kinds, ranges }`, empty if there is no registry yet
+ */
+function readCurrentRegistry() {
+  if (!fs.existsSync(KIND_NAMES_JSON_PATH)) {
+    return { kinds: {}, ranges: [] };
+  }
+  
+  const registry = JSON.parse(fs.readFileSync(KIND_NAMES_JSON_PATH, 'utf-8'));
+  
+  if (!registry.kinds || !Array.isArray(registry.ranges)) {
+    throw new Error(`${KIND_NAMES_JSON_PATH} is not in the registry format ({ kinds, ranges })`);
+  }
+  
+  return registry;
+}
+
+/**
+ * Combine an entry parsed from the NIPs table with the curated fields of the current entry
+ * @param {Object} parsed - The entry parsed from the table
+ * @param {Object} [current] - The current registry entry
+ * @returns {Object} The merged entry
+ */
+function mergeEntry(parsed, current = {}) {
+  const merged = { ...parsed };
+  
+  if (current.tags) merged.tags = current.tags;
+  if (current.content) merged.content = current.content;
+  if (parsed.deprecated || current.deprecated) merged.deprecated = true;
+  
+  return orderEntry(merged);
+}
+
+/**
+ * Put the fields of an entry in the registry's order
+ * @param {Object} entry - A registry entry
+ * @returns {Object} The entry with its fields in order
+ */
+function orderEntry(entry) {
+  const ordered = {};
+  
+  ENTRY_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) {
+      ordered[field] = entry[field];
+    }
+  });
+  
+  return ordered;
+}
+
+/**
+ * Build the new registry from the parsed table and the current registry
+ * @param {Object} parsed - `{ kinds, ranges }` from parseKindsTable
+ * @param {Object} current - `{ kinds, ranges }` from readCurrentRegistry
+ * @returns {Object} The new `{ kinds, ranges }`
+ */
+function buildRegistry(parsed, current) {
+  const kinds = {};
+  
+  Object.keys(parsed.kinds)
+    .sort((a, b) => a - b)
+    .forEach(kind => {
+      kinds[kind] = mergeEntry(parsed.kinds[kind], current.kinds[kind]);
+    });
+  
+  const ranges = parsed.ranges
+    .sort((a, b) => a.from - b.from)
+    .map(range => {
+      const currentRange = current.ranges.find(candidate => candidate.from === range.from && candidate.to === range.to);
+      return mergeEntry(range, currentRange);
+    });
+  
+  return { kinds, ranges };
+}
+
+/**
+ * Describe an entry for the change report
+ * @param {Object} entry - A registry entry
+ * @returns {string} The name and NIPs of the entry
+ */
+function describeEntry(entry) {
+  const nips = entry.nips.length > 0 ? entry.nips.map(nip => `NIP-${nip}`).join(', ') : 'no NIP';
+  return `${entry.name} (${nips})${entry.deprecated ? ' [deprecated]' : ''}`;
+}
+
+/**
+ * List the added, changed and removed kinds and ranges
+ * @param {Object} current - The current `{ kinds, ranges }`
+ * @param {Object} next - The new `{ kinds, ranges }`
+ * @returns {Object} `{ added, changed, removed }`, each a list of report lines
+ */
+function diffRegistries(current, next) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+  
+  // Ranges are compared by their bounds, keyed like "5000-5999"
+  const keyed = registry => {
+    const entries = new Map();
+    Object.entries(registry.kinds).forEach(([kind, entry]) => entries.set(kind, entry));
+    registry.ranges.forEach(range => entries.set(`${range.from}-${range.to}`, range));
+    return entries;
+  };
+  
+  const currentEntries = keyed(current);
+  const nextEntries = keyed(next);
+  
+  nextEntries.forEach((entry, key) => {
+    const previous = currentEntries.get(key);
+    
+    if (!previous) {
+      added.push(`+ ${key}: ${describeEntry(entry)}`);
+    } else if (describeEntry(previous) !== describeEntry(entry)) {
+      changed.push(`~ ${key}: ${describeEntry(previous)} -> ${describeEntry(entry)}`);
     }
+  });
+  
+  currentEntries.forEach((entry, key) => {
+    if (!nextEntries.has(key)) {
+      removed.push(`- ${key}: ${describeEntry(entry)}`);
+    }
+  });
+  
+  return { added, changed, removed };
+}
+
+/**
+ * Format a registry entry on a single line
+ * @param {Object} entry - A registry entry
+ * @returns {string} The entry as a JSON object literal
+ */
+function formatEntry(entry) {
+  const fields = Object.entries(orderEntry(entry)).map(([field, value]) => {
+    const formatted = Array.isArray(value)
+      ? `[${value.map(item => JSON.stringify(item)).join(', ')}]`
+      : JSON.stringify(value);
+    return `${JSON.stringify(field)}: ${formatted}`;
+  });
+  
+  return `{ ${fields.join(', ')} }`;
+}
+
+/**
+ * Replace the KIND_REGISTRY and KIND_RANGES objects in kind-names.js
+ * @param {string} source - The current contents of kind-names.js
+ * @param {Object} registry - The new `{ kinds, ranges }`
+ * @returns {string} The updated contents
+ * @throws {Error} If either object cannot be found
+ */
+function updateKindNamesSource(source, registry) {
+  const registryPattern = /const KIND_REGISTRY = \{\n[\s\S]*?\n\};/;
+  const rangesPattern = /const KIND_RANGES = \[\n[\s\S]*?\n\];/;
+  
+  if (!registryPattern.test(source) || !rangesPattern.test(source)) {
+    throw new Error(`Could not find KIND_REGISTRY and KIND_RANGES in ${KIND_NAMES_JS_PATH}`);
+  }
+  
+  const kindLines = Object.entries(registry.kinds)
+    .map(([kind, entry]) => `  "${kind}": ${formatEntry(entry)}`);
+  const rangeLines = registry.ranges.map(range => `  ${formatEntry(range)}`);
+  
+  return source
+    .replace(registryPattern, () => `const KIND_REGISTRY = {\n${kindLines.join(',\n')}\n};`)
+    .replace(rangesPattern, () => `const KIND_RANGES = [\n${rangeLines.join(',\n')}\n];`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
     
-    // Write to JSON file
-    const outputPath = 'js/kind-names.json';
-    fs.writeFileSync(outputPath, JSON.stringify(kindNames, null, 2));
-    console.log(`Kind names written to ${outputPath}`);
+    const readme = await readNipsReadme(options.nipsDir);
+    const parsed = parseKindsTable(readme);
+    console.log(`Parsed ${Object.keys(parsed.kinds).length} kinds and ${parsed.ranges.length} kind ranges`);
     
-    // Also update the KIND_NAMES object in kind-names.js
-    const kindNamesJsPath = 'js/kind-names.js';
+    const current = readCurrentRegistry();
+    const registry = buildRegistry(parsed, current);
     
-    try {
-      const kindNamesJs = fs.readFileSync(kindNamesJsPath, 'utf-8');
-      
-      // Replace the KIND_NAMES object
-      const updatedKindNamesJs = kindNamesJs.replace(
-        /const KIND_NAMES = \{[^}]*\};/s,
-        `const KIND_NAMES = ${JSON.stringify(kindNames, null, 2)};`
-      );
-      
-      fs.writeFileSync(kindNamesJsPath, updatedKindNamesJs);
-      console.log(`Updated KIND_NAMES object in ${kindNamesJsPath}`);
-    } catch (error) {
-      console.error(`Error updating kind-names.js: ${error.message}`);
-      console.log('The JSON file was updated successfully, but the JS file could not be updated.');
+    // Report what changed
+    const { added, changed, removed } = diffRegistries(current, registry);
+    [...added, ...changed, ...removed].forEach(line => console.log(line));
+    console.log(`${added.length} added, ${changed.length} changed, ${removed.length} removed`);
+    
+    if (options.dryRun) {
+      console.log('Dry run: no files written');
+      return;
     }
     
-    console.log('Kind name generation completed successfully!');
-    console.log(`Total kinds defined: ${Object.keys(kindNames).length}`);
+    // Update both files, or neither
+    const kindNamesJs = updateKindNamesSource(fs.readFileSync(KIND_NAMES_JS_PATH, 'utf-8'), registry);
+    
+    fs.writeFileSync(KIND_NAMES_JSON_PATH, JSON.stringify(registry, null, 2));
+    console.log(`Kind registry written to ${KIND_NAMES_JSON_PATH}`);
     
+    fs.writeFileSync(KIND_NAMES_JS_PATH, kindNamesJs);
+    console.log(`Updated KIND_REGISTRY and KIND_RANGES in ${KIND_NAMES_JS_PATH}`);
   } catch (error) {
-    console.error('Error fetching kind names:', error);
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
   }
 }
 